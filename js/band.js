@@ -0,0 +1,114 @@
+// Band Module
+// Repeats one drawn repeat across the full width of its rows for yoke and hem bands
+
+import { getActiveDimensions, getRowSpan, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { captureSelection } from './clipboard.js';
+import { filterLayerChanges, ensureActiveLayerEditable } from './layers.js';
+
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+export const initBand = (autoSaveCallback, minimapCallback = null) => {
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+/**
+ * Group consecutive rows with the same stitch count, e.g. "Rows 105–116 (97 sts)"
+ * @param {Array} rows - Objects with rowIndex and stitches, sorted by rowIndex
+ * @returns {string}
+ */
+const describeRows = (rows) => {
+    const ranges = [];
+    rows.forEach(({ rowIndex, stitches }) => {
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === rowIndex - 1 && last.stitches === stitches) {
+            last.end = rowIndex;
+        } else {
+            ranges.push({ start: rowIndex, end: rowIndex, stitches });
+        }
+    });
+
+    return ranges.map(({ start, end, stitches }) =>
+        `${start === end ? `Row ${start}` : `Rows ${start}–${end}`} (${stitches} sts)`
+    ).join('\n');
+};
+
+/**
+ * Find the rows of a band whose stitch count isn't a multiple of the repeat width
+ * @param {number} startRow - Bottom row of the band
+ * @param {number} height - Number of rows in the band
+ * @param {number} width - Repeat width in stitches
+ * @returns {Array} Array of { rowIndex, stitches }
+ */
+export const getIndivisibleRows = (startRow, height, width) => {
+    const rows = [];
+    for (let rowIndex = startRow; rowIndex < startRow + height; rowIndex++) {
+        const span = getRowSpan(rowIndex);
+        if (span && span.stitches % width !== 0) {
+            rows.push({ rowIndex, stitches: span.stitches });
+        }
+    }
+    return rows;
+};
+
+/**
+ * Tile the selected repeat across the whole span of each of its rows
+ * The repeat is positioned so its middle stitch sits on centerColumn and the
+ * tiling spreads out evenly to both sides, wherever the repeat was drawn.
+ * Recorded as a single undo operation.
+ * @returns {boolean} True if the band was applied
+ */
+export const repeatSelectionAsBand = () => {
+    const block = captureSelection();
+    if (!block) {
+        alert('Select one repeat of the band first.');
+        return false;
+    }
+    if (!ensureActiveLayerEditable()) return false;
+
+    const { width, height } = block;
+    const indivisible = getIndivisibleRows(block.row, height, width);
+    if (indivisible.length > 0) {
+        const message = `The repeat is ${width} stitch${width === 1 ? '' : 'es'} wide, but these rows ` +
+            `don't divide evenly, so the repeat will be broken where the ends meet:\n\n` +
+            `${describeRows(indivisible)}\n\nRepeat the band anyway?`;
+        if (!confirm(message)) {
+            return false;
+        }
+    }
+
+    const lookup = new Map(block.cells.map(({ dRow, dCol, color }) => [`${dRow},${dCol}`, color]));
+    const { centerColumn } = getActiveDimensions();
+    const anchorCol = centerColumn - Math.floor(width / 2);
+
+    const painted = [];
+    for (let dRow = 0; dRow < height; dRow++) {
+        const rowIndex = block.row + dRow;
+        const span = getRowSpan(rowIndex);
+        if (!span) continue;
+
+        for (let colIndex = span.start; colIndex <= span.end; colIndex++) {
+            const dCol = mod(colIndex - anchorCol, width);
+            const color = lookup.get(`${dRow},${dCol}`);
+            const pixel = getPixelByCoords(rowIndex, colIndex);
+            // Cells missing from a lasso selection are left alone; empty ones clear the layer
+            if (color === undefined || !pixel) continue;
+
+            const oldColor = pixel.style.backgroundColor || 'white';
+            pixel.style.backgroundColor = color || 'white';
+            painted.push({ rowIndex, colIndex, oldColor, newColor: color });
+        }
+    }
+    const changes = filterLayerChanges(painted);
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+    return true;
+};
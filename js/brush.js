@@ -0,0 +1,98 @@
+// Brush Module
+// Brush tip sizes and shapes shared by the select and brush tools
+
+import { state, getPixelKey, getPixelByCoords } from './state.js';
+import { getMirroredPixels } from './symmetry.js';
+
+export const BRUSH_SIZES = [1, 2, 3, 5];
+export const BRUSH_SHAPES = ['square', 'round'];
+
+let sizeSelect = null;
+let shapeButtons = [];
+
+/**
+ * Initialize the brush controls
+ * @param {HTMLSelectElement} sizeSelectElement - Select holding the brush sizes
+ * @param {NodeList|Array} shapeButtonElements - Buttons with a data-brush-shape attribute
+ */
+export const initBrush = (sizeSelectElement, shapeButtonElements) => {
+    sizeSelect = sizeSelectElement;
+    shapeButtons = Array.from(shapeButtonElements || []);
+
+    if (sizeSelect) {
+        sizeSelect.value = String(state.brush.size);
+        sizeSelect.addEventListener('change', () => setBrushSize(parseInt(sizeSelect.value)));
+    }
+
+    shapeButtons.forEach(button => {
+        button.addEventListener('click', () => setBrushShape(button.dataset.brushShape));
+    });
+
+    updateBrushControls();
+};
+
+export const setBrushSize = (size) => {
+    if (!BRUSH_SIZES.includes(size)) return;
+    state.brush.size = size;
+    updateBrushControls();
+};
+
+export const setBrushShape = (shape) => {
+    if (!BRUSH_SHAPES.includes(shape)) return;
+    state.brush.shape = shape;
+    updateBrushControls();
+};
+
+const updateBrushControls = () => {
+    if (sizeSelect) sizeSelect.value = String(state.brush.size);
+    shapeButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.brushShape === state.brush.shape);
+    });
+};
+
+/**
+ * Get the cells covered by the brush tip at a position
+ * Even sizes extend up and to the right of the pointer
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {Array} Array of [rowIndex, colIndex] pairs
+ */
+export const getBrushFootprint = (rowIndex, colIndex) => {
+    const { size, shape } = state.brush;
+    const center = (size - 1) / 2;
+    const offset = Math.floor(center);
+    // A quarter-cell allowance keeps 3x3 as a plus and 5x5 as a disc
+    const radiusSquared = (center + 0.25) ** 2;
+    const cells = [];
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            if (shape === 'round' && (i - center) ** 2 + (j - center) ** 2 > radiusSquared) {
+                continue;
+            }
+            cells.push([rowIndex + i - offset, colIndex + j - offset]);
+        }
+    }
+
+    return cells;
+};
+
+/**
+ * Get every pixel touched by the brush at a position, including mirrored copies
+ * Cells outside the active shaping are skipped
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {Array} Array of { pixel, rowIndex, colIndex } objects
+ */
+export const getBrushPixels = (rowIndex, colIndex) => {
+    const pixels = new Map();
+
+    getBrushFootprint(rowIndex, colIndex).forEach(([row, col]) => {
+        if (!getPixelByCoords(row, col)) return;
+        getMirroredPixels(row, col).forEach(entry => {
+            pixels.set(getPixelKey(entry.rowIndex, entry.colIndex), entry);
+        });
+    });
+
+    return Array.from(pixels.values());
+};
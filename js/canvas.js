@@ -14,6 +14,52 @@ export const createPixel = (isActive, rowIndex, colIndex) => {
     return pixel;
 };
 
+/**
+ * Show a preview colour over a pixel without changing its stored colour
+ * The preview is drawn as a background image so backgroundColor stays untouched
+ * @param {HTMLElement} pixel - The pixel to preview on
+ * @param {string} color - CSS colour to show
+ */
+export const setPixelPreview = (pixel, color) => {
+    pixel.style.backgroundImage = `linear-gradient(${color}, ${color})`;
+    pixel.classList.add('previewing');
+};
+
+/**
+ * Remove a preview colour set with setPixelPreview
+ * @param {HTMLElement} pixel - The pixel to clear
+ */
+export const clearPixelPreview = (pixel) => {
+    pixel.style.backgroundImage = '';
+    pixel.classList.remove('previewing');
+};
+
+/**
+ * Draw a block of cells as a small thumbnail
+ * @param {HTMLCanvasElement} canvasElement - Canvas to draw into (resized to fit the block)
+ * @param {Object|null} block - { width, height, cells: [{ dRow, dCol, color }] }, rows counting up
+ * @param {number} maxSize - Largest width or height of the thumbnail in CSS pixels
+ */
+export const drawBlockThumbnail = (canvasElement, block, maxSize = 40) => {
+    const ctx = canvasElement.getContext('2d');
+    if (!block) {
+        ctx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+        return;
+    }
+
+    const cellSize = Math.max(1, Math.floor(maxSize / Math.max(block.width, block.height)));
+    canvasElement.width = block.width * cellSize;
+    canvasElement.height = block.height * cellSize;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvasElement.width, canvasElement.height);
+    block.cells.forEach(({ dRow, dCol, color }) => {
+        if (!color) return;
+        ctx.fillStyle = color;
+        ctx.fillRect(dCol * cellSize, (block.height - 1 - dRow) * cellSize, cellSize, cellSize);
+    });
+};
+
 /**
  * Clear the canvas and reset pixel state
  * @param {HTMLElement} canvasElement - The canvas element to clear
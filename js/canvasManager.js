@@ -2,14 +2,18 @@
 // Orchestrates canvas operations and coordinates with other modules
 
 import { state, getActiveConfig, getActiveDimensions } from './state.js';
-import { clearCanvas, buildCanvas, applyDesignToCanvas, captureCanvasDesign } from './canvas.js';
+import { clearCanvas, buildCanvas, captureCanvasDesign } from './canvas.js';
 import { setActiveConfig, setActiveSize, getConfigById } from './jumperConfigs.js';
+import { commitFloatingSelection } from './floatingSelection.js';
+import { renderLayers, resetLayers } from './layers.js';
+import { clearPanelStitches } from './stitches.js';
 
 // Module references (set during initialization)
 let canvasElement = null;
 let refreshMinimapCallback = null;
 let clearHistoryCallback = null;
 let updateSymmetryCallback = null;
+let updateMeasurementsCallback = null;
 
 /**
  * Initialize the canvas manager with required references
@@ -18,28 +22,31 @@ let updateSymmetryCallback = null;
  * @param {Function} options.refreshMinimap - Callback to refresh minimap
  * @param {Function} options.clearHistory - Callback to clear undo/redo history
  * @param {Function} options.updateSymmetry - Callback to update symmetry lines
+ * @param {Function} options.updateMeasurements - Callback to redraw rulers and measurements
  */
 export const initCanvasManager = (options) => {
     canvasElement = options.canvas;
     refreshMinimapCallback = options.refreshMinimap;
     clearHistoryCallback = options.clearHistory;
     updateSymmetryCallback = options.updateSymmetry;
+    updateMeasurementsCallback = options.updateMeasurements;
 };
 
 /**
  * Switch to a different jumper configuration
  * @param {string} configId - The configuration ID to switch to
+ * The panels' layers are redrawn on the new canvas, so port them first if needed.
  * @param {string} size - The size to use (optional)
- * @param {Object} portedDesign - Pre-ported design data to apply (optional)
  * @returns {boolean} True if successful
  */
-export const switchJumperConfig = (configId, size = null, portedDesign = null) => {
+export const switchJumperConfig = (configId, size = null) => {
     if (!canvasElement) {
         console.error('Canvas manager not initialized');
         return false;
     }
 
-    // Save current panel design before switching
+    // Place any floating content and save current panel design before switching
+    commitFloatingSelection();
     saveCurrentPanelDesign();
 
     // Update the active configuration
@@ -48,24 +55,25 @@ export const switchJumperConfig = (configId, size = null, portedDesign = null) =
     }
 
     // Rebuild the canvas with new dimensions
-    rebuildCanvasWithConfig(portedDesign);
+    rebuildCanvasWithConfig();
 
     return true;
 };
 
 /**
  * Switch to a different size within the current configuration
+ * The panels' layers are redrawn on the new canvas, so port them first if needed.
  * @param {string} size - The size to switch to
- * @param {Object} portedDesign - Pre-ported design data to apply (optional)
  * @returns {boolean} True if successful
  */
-export const switchJumperSize = (size, portedDesign = null) => {
+export const switchJumperSize = (size) => {
     if (!canvasElement) {
         console.error('Canvas manager not initialized');
         return false;
     }
 
-    // Save current panel design before switching
+    // Place any floating content and save current panel design before switching
+    commitFloatingSelection();
     saveCurrentPanelDesign();
 
     // Update the active size
@@ -74,24 +82,21 @@ export const switchJumperSize = (size, portedDesign = null) => {
     }
 
     // Rebuild the canvas with new dimensions
-    rebuildCanvasWithConfig(portedDesign);
+    rebuildCanvasWithConfig();
 
     return true;
 };
 
 /**
  * Rebuild the canvas with the current configuration
- * @param {Object} designData - Design data to apply after rebuild (optional)
  */
-const rebuildCanvasWithConfig = (designData = null) => {
+const rebuildCanvasWithConfig = () => {
     // Clear and rebuild canvas
     clearCanvas(canvasElement);
     buildCanvas(canvasElement);
 
-    // Apply design data if provided
-    if (designData) {
-        applyDesignToCanvas(designData);
-    }
+    // Draw the active panel's layers on the new canvas
+    renderLayers();
 
     // Notify dependent modules
     if (refreshMinimapCallback) {
@@ -108,6 +113,10 @@ const rebuildCanvasWithConfig = (designData = null) => {
     if (updateSymmetryCallback) {
         updateSymmetryCallback();
     }
+
+    if (updateMeasurementsCallback) {
+        updateMeasurementsCallback();
+    }
 };
 
 /**
@@ -124,16 +133,12 @@ export const saveCurrentPanelDesign = () => {
  * @param {string} panel - 'front' or 'back'
  */
 export const loadPanelDesign = (panel) => {
-    const designData = state.design[panel] || {};
+    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
 
-    // Clear all pixel colors first
-    state.pixels.forEach(pixel => {
-        pixel.style.backgroundColor = 'white';
-        pixel.classList.remove('selected');
-    });
-
-    // Apply the panel's design
-    applyDesignToCanvas(designData);
+    // The panel's layers hold its design
+    if (panel === state.jumperConfig.activePanel) {
+        renderLayers();
+    }
 };
 
 /**
@@ -184,13 +189,15 @@ export const currentPanelHasDesign = () => {
 export const clearAllDesigns = () => {
     state.design.front = {};
     state.design.back = {};
+    resetLayers('front');
+    resetLayers('back');
+    clearPanelStitches('front');
+    clearPanelStitches('back');
     state.design.metadata.modifiedAt = new Date().toISOString();
 
     // Clear the canvas display
-    state.pixels.forEach(pixel => {
-        pixel.style.backgroundColor = 'white';
-        pixel.classList.remove('selected');
-    });
+    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+    renderLayers();
 };
 
 /**
@@ -0,0 +1,130 @@
+// Clipboard Module
+// Cut, copy, paste and move for the current selection
+
+import { state, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { clearSelection } from './selection.js';
+import { createFloatingSelection } from './floatingSelection.js';
+import { getActiveLayerColor, ensureActiveLayerEditable } from './layers.js';
+
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+export const initClipboard = (autoSaveCallback, minimapCallback = null) => {
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+};
+
+/**
+ * Capture the selected pixels of the active layer as a block of cells
+ * Offsets are measured from the bottom-left corner of the selection's bounding box.
+ * Cells the layer is empty in have a null colour.
+ * @returns {Object|null} { row, col, width, height, cells: [{ dRow, dCol, color }] } or null if nothing is selected
+ */
+export const captureSelection = () => {
+    const selected = state.pixels.filter(pixel => pixel.classList.contains('selected'));
+    if (selected.length === 0) return null;
+
+    const coords = selected.map(pixel => {
+        const rowIndex = parseInt(pixel.dataset.rowIndex);
+        const colIndex = parseInt(pixel.dataset.colIndex);
+        return { rowIndex, colIndex, color: getActiveLayerColor(rowIndex, colIndex) };
+    });
+
+    const minRow = Math.min(...coords.map(c => c.rowIndex));
+    const maxRow = Math.max(...coords.map(c => c.rowIndex));
+    const minCol = Math.min(...coords.map(c => c.colIndex));
+    const maxCol = Math.max(...coords.map(c => c.colIndex));
+
+    return {
+        row: minRow,
+        col: minCol,
+        width: maxCol - minCol + 1,
+        height: maxRow - minRow + 1,
+        cells: coords.map(({ rowIndex, colIndex, color }) => ({
+            dRow: rowIndex - minRow,
+            dCol: colIndex - minCol,
+            color
+        }))
+    };
+};
+
+/**
+ * Clear the selected cells from the active layer so the layers below show through
+ * The canvas shows them white until the changes are recorded.
+ * @param {Object} block - Block returned by captureSelection
+ * @returns {Array} The changes that were made
+ */
+const clearBlock = (block) => {
+    const changes = [];
+    block.cells.forEach(({ dRow, dCol, color }) => {
+        const rowIndex = block.row + dRow;
+        const colIndex = block.col + dCol;
+        const pixel = getPixelByCoords(rowIndex, colIndex);
+        if (pixel && color) {
+            changes.push({ rowIndex, colIndex, oldColor: color, newColor: null });
+            pixel.style.backgroundColor = 'white';
+        }
+    });
+    return changes;
+};
+
+/**
+ * Copy the selection to the clipboard
+ * The clipboard is kept in state so it survives switching between front and back.
+ * @returns {boolean} True if anything was copied
+ */
+export const copySelection = () => {
+    const block = captureSelection();
+    if (!block) return false;
+    state.clipboard = block;
+    return true;
+};
+
+/**
+ * Copy the selection to the clipboard and clear it from the canvas
+ * @returns {boolean} True if anything was cut
+ */
+export const cutSelection = () => {
+    const block = captureSelection();
+    if (!block || !ensureActiveLayerEditable()) return false;
+    state.clipboard = block;
+
+    const changes = clearBlock(block);
+    clearSelection();
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+    return true;
+};
+
+/**
+ * Paste the clipboard as a floating selection at the position it was copied from
+ * @returns {boolean} True if anything was pasted
+ */
+export const pasteClipboard = () => {
+    if (!state.clipboard || !ensureActiveLayerEditable()) return false;
+
+    clearSelection();
+    const { cells, row, col } = state.clipboard;
+    createFloatingSelection(cells.map(cell => ({ ...cell })), row, col);
+    return true;
+};
+
+/**
+ * Lift the selection off the canvas so it can be dragged somewhere else
+ * The lift and the final placement are recorded as one undo operation.
+ * @returns {boolean} True if anything was lifted
+ */
+export const liftSelection = () => {
+    const block = captureSelection();
+    if (!block) return false;
+
+    const liftChanges = clearBlock(block);
+    clearSelection();
+    createFloatingSelection(block.cells, block.row, block.col, liftChanges);
+    return true;
+};
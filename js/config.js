@@ -13,6 +13,9 @@ export const ROWS_CONFIG = [
 export const CENTER_COLUMN = 54;
 export const CENTER_ROW = 69;
 
+// Default gauge in stitches and rows per 10 cm (a typical DK stocking stitch gauge)
+export const DEFAULT_GAUGE = { stitches: 22, rows: 30 };
+
 // History limits
 export const HISTORY_LIMIT = 50;
 
@@ -24,3 +27,9 @@ export const ZOOM_STEP = 0.1;
 // Storage keys
 export const STORAGE_KEY = 'woollySheepPatterns';
 export const AUTOSAVE_KEY = 'woollySheepAutoSave';
+export const RECENT_COLORS_KEY = 'woollySheepRecentColors';
+export const PATTERN_TILE_KEY = 'woollySheepPatternTile';
+export const USER_MOTIFS_KEY = 'woollySheepMotifs';
+
+// Number of swatches kept in the recent colours strip
+export const RECENT_COLORS_LIMIT = 10;
@@ -0,0 +1,65 @@
+// Construction Module
+// Whether the pieces are knitted flat (back and forth) or in the round, which sets how the written rows are read
+
+import { state } from './state.js';
+
+export const CONSTRUCTIONS = {
+    flat: { name: 'Flat (back and forth)' },
+    round: { name: 'In the round' },
+};
+
+let constructionSelect = null;
+let triggerAutoSaveCallback = null;
+let constructionChosen = false;     // Picked by the user or loaded from a save, so jumper configs leave it alone
+
+/**
+ * Initialize the construction setting
+ * @param {Object} options - Initialization options
+ * @param {HTMLSelectElement} options.constructionSelect - Construction dropdown
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ */
+export const initConstruction = (options = {}) => {
+    constructionSelect = options.constructionSelect;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+
+    if (constructionSelect) {
+        constructionSelect.innerHTML = Object.entries(CONSTRUCTIONS)
+            .map(([id, construction]) => `<option value="${id}">${construction.name}</option>`)
+            .join('');
+        constructionSelect.addEventListener('change', () => setConstruction(constructionSelect.value));
+    }
+
+    setConstruction(state.construction, false, false);
+};
+
+/**
+ * Set how the pieces are knitted
+ * @param {string} construction - A key of CONSTRUCTIONS; unknown values fall back to 'flat'
+ * @param {boolean} persist - Auto-save the change (off when it comes from a save)
+ * @param {boolean} chosen - The user or a save chose it (off for a jumper config's default)
+ */
+export const setConstruction = (construction, persist = true, chosen = true) => {
+    state.construction = CONSTRUCTIONS[construction] ? construction : 'flat';
+    constructionChosen = chosen;
+    if (constructionSelect) constructionSelect.value = state.construction;
+
+    if (persist && triggerAutoSaveCallback) triggerAutoSaveCallback();
+};
+
+/**
+ * Use a jumper config's usual construction, unless one has been chosen or loaded
+ * @param {string} construction - The config's construction, if it has one
+ */
+export const applyConfigConstruction = (construction) => {
+    if (constructionChosen) return;
+    setConstruction(construction, true, false);
+};
+
+/**
+ * Check whether a row is worked with the wrong side facing
+ * Flat pieces start with a right side row, so even rows are wrong side rows.
+ * In the round every round is worked from the right side.
+ * @param {number} rowIndex
+ * @returns {boolean}
+ */
+export const isWrongSideRow = (rowIndex) => state.construction === 'flat' && rowIndex % 2 === 0;
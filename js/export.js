@@ -1,5 +1,9 @@
-import { TOTAL_ROWS, TOTAL_COLUMNS, ROWS_CONFIG } from './config.js';
-import { state } from './state.js';
+import { state, getActiveDimensions, getRowSpan } from './state.js';
+import { getGauge, getCellHeight } from './gauge.js';
+import { getShoppingList } from './yarn.js';
+import { getTechniqueSummary, confirmTechniqueBeforeExport } from './technique.js';
+import { STITCH_TYPES, getCellStitch, getUsedStitches, parseStitch } from './stitches.js';
+import { CONSTRUCTIONS, isWrongSideRow } from './construction.js';
 
 // Configuration for export
 const PIXEL_SIZE = 10;
@@ -12,25 +16,12 @@ const GRID_LINE_COLOR = '#808080';
 const LABEL_COLOR = '#333333';
 
 /**
- * Get the row configuration (columns and padding) for a given row
+ * Describe the gauge, e.g. "22 sts and 30 rows to 10 cm"
+ * @returns {string}
  */
-const getRowConfig = (row) => {
-    for (const config of ROWS_CONFIG) {
-        if (row >= config.start && row <= config.end) {
-            if (config.step) {
-                const steps = row - config.start;
-                const columns = config.startColumns + steps * config.step;
-                const padding = (TOTAL_COLUMNS - columns) / 2;
-                return { columns, padding };
-            } else {
-                return {
-                    columns: config.columns,
-                    padding: config.padding || 0
-                };
-            }
-        }
-    }
-    return { columns: TOTAL_COLUMNS, padding: 0 };
+const describeGauge = () => {
+    const { stitches, rows } = getGauge();
+    return `${stitches} sts and ${rows} rows to 10 cm`;
 };
 
 /**
@@ -49,16 +40,115 @@ const getPixelColor = (rowIndex, colIndex) => {
     return null; // Non-active pixel
 };
 
+/**
+ * Pick black or white for a stitch symbol so it shows up on its cell
+ * @param {string} hex - Cell colour as #rrggbb
+ * @returns {Array} [r, g, b]
+ */
+const getSymbolRGB = (hex) => {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) > 140 ? [0, 0, 0] : [255, 255, 255];
+};
+
+/**
+ * Get the shapes to draw for a cell's stitch
+ * A cable is drawn whole from its first cell, so its other cells draw nothing.
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ * @returns {Array} Symbol shapes, in cells
+ */
+const getSymbolShapes = (stitch) => {
+    const { id, part } = parseStitch(stitch);
+    return part > 0 ? [] : STITCH_TYPES[id]?.symbol || [];
+};
+
+/**
+ * Draw a stitch symbol into a cell of a 2D canvas
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ * @param {number} x - Cell left
+ * @param {number} y - Cell top
+ * @param {number} width
+ * @param {number} height
+ * @param {string} cellColor - Cell colour, for the symbol's contrast
+ * @param {number} pitch - Distance from one cell to the next, for cables spanning the grid gaps
+ */
+const drawSymbolOnCanvas = (ctx, stitch, x, y, width, height, cellColor, pitch = width) => {
+    const shapes = getSymbolShapes(stitch);
+    if (shapes.length === 0) return;
+
+    const rgb = `rgb(${getSymbolRGB(rgbToHex(cellColor)).join(', ')})`;
+    const size = Math.min(width, height);
+    const toX = (cellX) => x + Math.floor(cellX) * pitch + (cellX - Math.floor(cellX)) * width;
+    ctx.save();
+    ctx.strokeStyle = rgb;
+    ctx.fillStyle = rgb;
+    ctx.lineWidth = 1;
+    shapes.forEach(shape => {
+        if (shape.type === 'shade') {
+            ctx.fillStyle = 'rgba(128, 128, 128, 0.75)';
+            ctx.fillRect(x, y, width, height);
+            ctx.fillStyle = rgb;
+        } else if (shape.type === 'line') {
+            ctx.beginPath();
+            ctx.moveTo(toX(shape.x1), y + shape.y1 * height);
+            ctx.lineTo(toX(shape.x2), y + shape.y2 * height);
+            ctx.stroke();
+        } else {
+            ctx.beginPath();
+            ctx.arc(toX(shape.cx), y + shape.cy * height, shape.r * size, 0, Math.PI * 2);
+            if (shape.type === 'dot') ctx.fill();
+            else ctx.stroke();
+        }
+    });
+    ctx.restore();
+};
+
+/**
+ * Draw a stitch symbol into a cell of a PDF page
+ * @param {Object} pdf - jsPDF document
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ * @param {number} x - Cell left, in mm
+ * @param {number} y - Cell top, in mm
+ * @param {number} width
+ * @param {number} height
+ * @param {string} cellColor - Cell colour as #rrggbb, for the symbol's contrast
+ */
+const drawSymbolOnPdf = (pdf, stitch, x, y, width, height, cellColor) => {
+    const shapes = getSymbolShapes(stitch);
+    if (shapes.length === 0) return;
+
+    const [r, g, b] = getSymbolRGB(cellColor);
+    const size = Math.min(width, height);
+    pdf.setDrawColor(r, g, b);
+    pdf.setFillColor(r, g, b);
+    pdf.setLineWidth(size * 0.1);
+    shapes.forEach(shape => {
+        if (shape.type === 'shade') {
+            pdf.setFillColor(160, 160, 160);
+            pdf.rect(x, y, width, height, 'F');
+            pdf.setFillColor(r, g, b);
+        } else if (shape.type === 'line') {
+            pdf.line(x + shape.x1 * width, y + shape.y1 * height, x + shape.x2 * width, y + shape.y2 * height);
+        } else {
+            pdf.circle(x + shape.cx * width, y + shape.cy * height, shape.r * size, shape.type === 'dot' ? 'F' : 'S');
+        }
+    });
+};
+
 /**
  * Export the pattern as a PNG image
  */
 export const exportAsPNG = () => {
-    // Calculate canvas dimensions
+    const { totalRows, maxColumns } = getActiveDimensions();
+
+    // Cells are PIXEL_SIZE wide and as tall as the gauge makes them
+    const pixelHeight = getCellHeight(PIXEL_SIZE);
     const cellSize = PIXEL_SIZE + GRID_GAP;
-    const gridWidth = TOTAL_COLUMNS * cellSize;
-    const gridHeight = TOTAL_ROWS * cellSize;
+    const rowSize = pixelHeight + GRID_GAP;
+    const gridWidth = maxColumns * cellSize;
+    const gridHeight = totalRows * rowSize;
     const canvasWidth = gridWidth + (LABEL_WIDTH * 2) + (PADDING * 2);
-    const canvasHeight = gridHeight + (PADDING * 2);
+    const canvasHeight = Math.ceil(gridHeight + (PADDING * 2));
 
     // Create canvas
     const canvas = document.createElement('canvas');
@@ -75,31 +165,31 @@ export const exportAsPNG = () => {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
 
-    // Draw the grid row by row (top to bottom, rows from TOTAL_ROWS down to 1)
-    for (let i = 0; i < TOTAL_ROWS; i++) {
-        const rowNum = TOTAL_ROWS - i; // Row numbers go from 138 down to 1
-        const rowConfig = getRowConfig(rowNum);
-        const y = PADDING + (i * cellSize);
+    // Draw the grid row by row (top to bottom, rows from totalRows down to 1)
+    for (let i = 0; i < totalRows; i++) {
+        const rowNum = totalRows - i;
+        const span = getRowSpan(rowNum);
+        const y = PADDING + (i * rowSize);
 
         // Draw left row label
         ctx.fillStyle = LABEL_COLOR;
         ctx.fillText(
             rowNum.toString(),
             PADDING + (LABEL_WIDTH / 2),
-            y + (PIXEL_SIZE / 2)
+            y + (pixelHeight / 2)
         );
 
         // Draw right row label
         ctx.fillText(
             rowNum.toString(),
             canvasWidth - PADDING - (LABEL_WIDTH / 2),
-            y + (PIXEL_SIZE / 2)
+            y + (pixelHeight / 2)
         );
 
         // Draw pixels for this row
-        for (let col = 1; col <= TOTAL_COLUMNS; col++) {
+        for (let col = 1; col <= maxColumns; col++) {
             const x = PADDING + LABEL_WIDTH + ((col - 1) * cellSize);
-            const isActive = col > rowConfig.padding && col <= TOTAL_COLUMNS - rowConfig.padding;
+            const isActive = col >= span.start && col <= span.end;
 
             if (isActive) {
                 // Get pixel color
@@ -107,12 +197,14 @@ export const exportAsPNG = () => {
 
                 // Draw pixel background
                 ctx.fillStyle = color || 'white';
-                ctx.fillRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+                ctx.fillRect(x, y, PIXEL_SIZE, pixelHeight);
+
+                drawSymbolOnCanvas(ctx, getCellStitch(rowNum, col), x, y, PIXEL_SIZE, pixelHeight, color || 'white', cellSize);
 
                 // Draw pixel border
                 ctx.strokeStyle = GRID_LINE_COLOR;
                 ctx.lineWidth = 0.5;
-                ctx.strokeRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+                ctx.strokeRect(x, y, PIXEL_SIZE, pixelHeight);
             }
             // Non-active pixels are left as background color (transparent area)
         }
@@ -151,16 +243,16 @@ const colorToName = (color) => {
 };
 
 /**
- * Generate written instructions for a single row
+ * Split a row into runs of the same colour, scanning left to right
+ * @param {number} rowIndex
+ * @param {boolean} byStitch - Also start a new run where the stitch type changes
+ * @returns {Array} Array of { start, count, color, stitch }, start being the run's first column
  */
-const generateRowInstructions = (rowIndex) => {
-    const { columns, padding } = getRowConfig(rowIndex);
-    const startCol = padding + 1;
-    const endCol = TOTAL_COLUMNS - padding;
+export const getRowRuns = (rowIndex, byStitch = false) => {
+    const { start: startCol, end: endCol } = getRowSpan(rowIndex);
 
-    const stitches = [];
-    let currentColor = null;
-    let currentCount = 0;
+    const runs = [];
+    let current = null;
 
     // Process each stitch in the row from left to right
     for (let col = startCol; col <= endCol; col++) {
@@ -168,31 +260,241 @@ const generateRowInstructions = (rowIndex) => {
         if (color === null) continue; // Skip non-active pixels
 
         const colorName = colorToName(color);
+        const stitch = getCellStitch(rowIndex, col);
 
-        if (colorName === currentColor) {
-            currentCount++;
+        if (current && colorName === current.color && (!byStitch || stitch === current.stitch)) {
+            current.count++;
         } else {
-            // Save the previous group
-            if (currentCount > 0) {
-                stitches.push({ count: currentCount, color: currentColor });
-            }
-            currentColor = colorName;
-            currentCount = 1;
+            current = { start: col, count: 1, color: colorName, stitch };
+            runs.push(current);
         }
     }
 
-    // Don't forget the last group
-    if (currentCount > 0) {
-        stitches.push({ count: currentCount, color: currentColor });
+    return runs;
+};
+
+/**
+ * Give each colour on the active panel a letter, the most used colour being A
+ * @returns {Map} Colour name (see colorToName) -> letter
+ */
+const getColorLetters = () => {
+    const { totalRows } = getActiveDimensions();
+    const counts = new Map();
+    for (let row = 1; row <= totalRows; row++) {
+        getRowRuns(row).forEach(({ count, color }) => counts.set(color, (counts.get(color) || 0) + count));
     }
 
-    // Format the row instructions
+    const letters = new Map();
+    Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([color], i) => letters.set(color, i < 26 ? String.fromCharCode(65 + i) : `C${i + 1}`));
+    return letters;
+};
+
+/**
+ * Fold each cable's later cells into the run of its first cell
+ * The cells of a cable can be different colours, so the first cell's run collects
+ * the colours of them all, left to right.
+ * @param {Array} runs - From getRowRuns, split by stitch
+ * @returns {Array} The runs without the cables' later cells; cable runs gain colors
+ */
+const groupCableRuns = (runs) => {
+    const grouped = [];
+    runs.forEach(run => {
+        const { id, part } = parseStitch(run.stitch);
+        if (part === 0) {
+            grouped.push(STITCH_TYPES[id].width ? { ...run, colors: [run.color] } : run);
+            return;
+        }
+        // Cells cut off from their cable's first cell aren't written, as in the chart
+        const cable = grouped[grouped.length - 1];
+        if (cable && cable.colors && parseStitch(cable.stitch).id === id) {
+            cable.colors.push(run.color);
+        }
+    });
+    return grouped;
+};
+
+/**
+ * Write one run of stitches, e.g. "P3 A", "[k2tog B] 2 times", "2/2 RC A" or "2/2 RC (A, A, B, B)"
+ * A cable in more than one colour lists its stitches' colours in the order they are worked.
+ * @param {Object} run - From getRowRuns, cables grouped by groupCableRuns
+ * @param {boolean} wrongSide - Write the stitch as it is worked from the wrong side
+ * @param {Map} letters - Colour letters from getColorLetters
+ * @returns {string}
+ */
+const describeRun = ({ count, color, colors, stitch }, wrongSide, letters) => {
+    const { abbreviation, wsAbbreviation } = STITCH_TYPES[parseStitch(stitch).id];
+    // Every stitch has a WS wording (stitches.js reports any that don't when it loads);
+    // should one be missing, the export still goes ahead with its RS name
+    const written = wrongSide ? wsAbbreviation || abbreviation : abbreviation;
+    const letter = letters.get(color) || color;
+    if (colors) {
+        const cableLetters = colors.map(c => letters.get(c) || c);
+        // Right side rows are worked from the right
+        if (!wrongSide) cableLetters.reverse();
+        return cableLetters.every(l => l === letter)
+            ? `${written} ${letter}`
+            : `${written} (${cableLetters.join(', ')})`;
+    }
+    if (stitch === 'knit' || stitch === 'purl') {
+        return `${written}${count} ${letter}`;
+    }
+    return count === 1 ? `${written} ${letter}` : `[${written} ${letter}] ${count} times`;
+};
+
+/**
+ * Find the longest stretch of a row made of one group of stitches repeated
+ * @param {Array} tokens - The row's runs, written out
+ * @returns {Object|null} { start, length, times }, or null if no repeat saves enough to be worth it
+ */
+const findRepeat = (tokens) => {
+    let best = null;
+    let bestSaving = 2; // A repeat has to save at least 3 runs to read better than writing them out
+
+    for (let length = 1; length <= tokens.length / 2; length++) {
+        for (let start = 0; start + length * 2 <= tokens.length; start++) {
+            let times = 1;
+            while (start + (times + 1) * length <= tokens.length &&
+                tokens.slice(start + times * length, start + (times + 1) * length)
+                    .every((token, i) => token === tokens[start + i])) {
+                times++;
+            }
+            const saving = (times - 1) * length;
+            if (times > 1 && saving > bestSaving) {
+                best = { start, length, times };
+                bestSaving = saving;
+            }
+        }
+    }
+    return best;
+};
+
+/**
+ * Write a row's runs, folding its longest repeat into "*K1 A, K3 B; rep from * 12 times"
+ * @param {Array} tokens - The row's runs, written out
+ * @returns {string}
+ */
+const compressRepeats = (tokens) => {
+    const repeat = findRepeat(tokens);
+    if (!repeat) return tokens.join(', ');
+
+    const { start, length, times } = repeat;
+    const end = start + length * times;
+    return [
+        ...tokens.slice(0, start),
+        `*${tokens.slice(start, start + length).join(', ')}; rep from * ${times} times`,
+        ...tokens.slice(end)
+    ].join(', ');
+};
+
+/**
+ * Label a row with its side and the direction it is read in
+ * @param {number} rowIndex
+ * @returns {string} e.g. "Row 1 (RS, right to left)", "Row 2 (WS, left to right)" or "Round 1"
+ */
+const describeRowHeading = (rowIndex) => {
+    if (state.construction === 'round') return `Round ${rowIndex}`;
+    return isWrongSideRow(rowIndex)
+        ? `Row ${rowIndex} (WS, left to right)`
+        : `Row ${rowIndex} (RS, right to left)`;
+};
+
+/**
+ * Write the stitches of a single row, without its heading
+ * Right side rows are worked from the right-hand edge of the chart, so their runs are
+ * written right to left; wrong side rows of flat pieces are written left to right.
+ * @param {number} rowIndex
+ * @param {Map} letters - Colour letters from getColorLetters
+ * @returns {string}
+ */
+const describeRowStitches = (rowIndex, letters) => {
+    const wrongSide = isWrongSideRow(rowIndex);
+
+    // No-stitch cells are placeholders in the chart and aren't worked, and a
+    // cable is written once, with the colours of all its cells
+    const stitches = groupCableRuns(getRowRuns(rowIndex, true))
+        .filter(run => run.stitch !== 'none');
+    if (!wrongSide) stitches.reverse();
+
     if (stitches.length === 0) {
-        return `Row ${rowIndex}: (empty)`;
+        return '(empty)';
     }
+    return compressRepeats(stitches.map(run => describeRun(run, wrongSide, letters)));
+};
 
-    const stitchDescriptions = stitches.map(s => `K${s.count} ${s.color}`);
-    return `Row ${rowIndex}: ${stitchDescriptions.join(', ')}`;
+/**
+ * Write a stretch of rows that repeat earlier ones
+ * In the round each round repeats the one before; flat pieces repeat the row two below,
+ * so RS rows follow RS rows and WS rows follow WS rows.
+ * @param {number} first - First repeated row
+ * @param {number} last - Last repeated row
+ * @param {number} step - 1 in the round, 2 for flat pieces
+ * @returns {string} e.g. "Rounds 12–18: as round 11" or "Rows 13–18: as rows 11–12"
+ */
+const describeRepeatedRows = (first, last, step) => {
+    if (first === last) {
+        return `${describeRowHeading(first)}: as ${step === 1 ? 'round' : 'row'} ${first - step}`;
+    }
+    if (step === 1) {
+        return `Rounds ${first}–${last}: as round ${first - 1}`;
+    }
+    return `Rows ${first}–${last}: as rows ${first - 2}–${first - 1}`;
+};
+
+/**
+ * Generate the written rows, collapsing rows that repeat earlier ones
+ * @param {Map} letters - Colour letters from getColorLetters
+ * @returns {Array} Lines of text, bottom row first
+ */
+const generateRowLines = (letters) => {
+    const { totalRows } = getActiveDimensions();
+    const step = state.construction === 'round' ? 1 : 2;
+
+    const rows = [];
+    for (let row = 1; row <= totalRows; row++) {
+        rows[row] = describeRowStitches(row, letters);
+    }
+
+    const lines = [];
+    let row = 1;
+    while (row <= totalRows) {
+        let last = row - 1;
+        while (last + 1 <= totalRows && last + 1 - step >= 1 && rows[last + 1] === rows[last + 1 - step]) {
+            last++;
+        }
+
+        if (last >= row) {
+            lines.push(describeRepeatedRows(row, last, step));
+            row = last + 1;
+        } else {
+            lines.push(`${describeRowHeading(row)}: ${rows[row]}`);
+            row++;
+        }
+    }
+    return lines;
+};
+
+/**
+ * Describe the construction and how the rows are read
+ * @returns {Array} Lines of text
+ */
+const describeConstruction = () => {
+    if (state.construction === 'round') {
+        return [`Construction: ${CONSTRUCTIONS.round.name}. Every round is read from right to left.`];
+    }
+
+    const lines = [
+        `Construction: ${CONSTRUCTIONS.flat.name}. RS rows (odd) are read from right to left,`,
+        '  WS rows (even) from left to right.'
+    ];
+    // Wrong side rows work each cell as it looks from the right side
+    const swaps = getUsedStitches()
+        .map(stitch => STITCH_TYPES[stitch])
+        .filter(({ abbreviation, wsAbbreviation }) => wsAbbreviation !== abbreviation)
+        .map(({ abbreviation, wsAbbreviation }) => `${abbreviation} as ${wsAbbreviation}`);
+    lines.push(`  On WS rows the chart is worked from the back: ${swaps.join(', ')}.`);
+    return lines;
 };
 
 /**
@@ -205,17 +507,39 @@ export const generateWrittenInstructions = () => {
     lines.push('KNITTING PATTERN - WRITTEN INSTRUCTIONS');
     lines.push('========================================');
     lines.push('');
-    lines.push('Legend: K = Knit stitch');
-    lines.push('Colors are shown as hex codes (e.g., #ff0000 = red)');
+    lines.push(`Gauge: ${describeGauge()}`);
+    describeConstruction().forEach(line => lines.push(line));
+    getTechniqueSummary().forEach(line => lines.push(line));
+    const legend = getUsedStitches()
+        .filter(stitch => stitch !== 'none')
+        .flatMap(stitch => {
+            const { abbreviation, name, legend, wsAbbreviation, wsLegend } = STITCH_TYPES[stitch];
+            const entries = [`${abbreviation} = ${legend || name.toLowerCase()}`];
+            // Cables need spelling out when flat pieces cross them from the wrong side
+            if (wsLegend && state.construction === 'flat') entries.push(`${wsAbbreviation} = ${wsLegend}`);
+            return entries;
+        });
+    lines.push('Legend:');
+    legend.forEach(line => lines.push(`  ${line}`));
+    lines.push('  *...; rep from * 12 times = work the stitches from * 12 times in all');
+    if (state.construction === 'round') {
+        lines.push('  Rounds 12–18: as round 11 = work each of these rounds the same as round 11');
+    } else {
+        lines.push('  Rows 13–18: as rows 11–12 = work RS rows as row 11 and WS rows as row 12');
+    }
+
+    const letters = getColorLetters();
+    lines.push('Colours:');
+    letters.forEach((letter, color) => lines.push(`  ${letter} = ${color}`));
+    lines.push('');
+    lines.push('SHOPPING LIST');
+    getShoppingList().forEach(line => lines.push(line));
     lines.push('');
     lines.push('----------------------------------------');
     lines.push('');
 
-    // Generate instructions for each row (from row 1 to TOTAL_ROWS)
-    for (let row = 1; row <= TOTAL_ROWS; row++) {
-        const instruction = generateRowInstructions(row);
-        lines.push(instruction);
-    }
+    // Generate instructions for each row (from row 1 to the top row)
+    generateRowLines(letters).forEach(line => lines.push(line));
 
     lines.push('');
     lines.push('----------------------------------------');
@@ -340,7 +664,7 @@ const showExportNotification = (message, type) => {
 /**
  * Convert RGB color string to hex color
  */
-const rgbToHex = (rgb) => {
+export const rgbToHex = (rgb) => {
     if (!rgb || rgb === 'white' || rgb === '' || rgb === 'rgb(255, 255, 255)') return '#FFFFFF';
     if (rgb.startsWith('#')) return rgb;
 
@@ -388,14 +712,20 @@ export const exportAsPDF = () => {
     const availableWidth = pageWidth - (2 * margin) - 20; // Space for labels on both sides
     const availableHeight = pageHeight - gridStartY - margin - 5;
 
-    // Calculate cell size to fit the grid
-    const cellWidth = availableWidth / TOTAL_COLUMNS;
-    const cellHeight = availableHeight / TOTAL_ROWS;
-    const cellSize = Math.min(cellWidth, cellHeight, 2); // Max 2mm per cell for readability
+    const { totalRows, maxColumns } = getActiveDimensions();
+
+    // Calculate cell size to fit the grid, keeping the gauge's cell shape
+    const aspect = getCellHeight(1);
+    const cellWidth = Math.min(
+        availableWidth / maxColumns,
+        availableHeight / (totalRows * aspect),
+        2 // Max 2mm per cell for readability
+    );
+    const cellHeight = cellWidth * aspect;
 
     // Recalculate actual grid dimensions
-    const actualGridWidth = cellSize * TOTAL_COLUMNS;
-    const actualGridHeight = cellSize * TOTAL_ROWS;
+    const actualGridWidth = cellWidth * maxColumns;
+    const actualGridHeight = cellHeight * totalRows;
 
     // Center the grid horizontally
     const gridCenterX = (pageWidth - actualGridWidth) / 2;
@@ -409,15 +739,15 @@ export const exportAsPDF = () => {
         pixelColors.set(`${row},${col}`, rgbToHex(color));
     });
 
-    // Draw grid cells (from top to bottom, which is row TOTAL_ROWS to 1)
-    for (let row = TOTAL_ROWS; row >= 1; row--) {
-        const rowConfig = getRowConfig(row);
-        const displayRow = TOTAL_ROWS - row; // Convert to display position (0 at top)
-        const y = gridStartY + (displayRow * cellSize);
+    // Draw grid cells (from top to bottom, which is row totalRows to 1)
+    for (let row = totalRows; row >= 1; row--) {
+        const span = getRowSpan(row);
+        const displayRow = totalRows - row; // Convert to display position (0 at top)
+        const y = gridStartY + (displayRow * cellHeight);
 
-        for (let col = 1; col <= TOTAL_COLUMNS; col++) {
-            const x = gridCenterX + ((col - 1) * cellSize);
-            const isActive = col > rowConfig.padding && col <= TOTAL_COLUMNS - rowConfig.padding;
+        for (let col = 1; col <= maxColumns; col++) {
+            const x = gridCenterX + ((col - 1) * cellWidth);
+            const isActive = col >= span.start && col <= span.end;
 
             if (isActive) {
                 const color = pixelColors.get(`${row},${col}`) || '#FFFFFF';
@@ -429,12 +759,14 @@ export const exportAsPDF = () => {
                 pdf.setFillColor(r, g, b);
 
                 // Draw filled rectangle
-                pdf.rect(x, y, cellSize, cellSize, 'F');
+                pdf.rect(x, y, cellWidth, cellHeight, 'F');
+
+                drawSymbolOnPdf(pdf, getCellStitch(row, col), x, y, cellWidth, cellHeight, color);
 
                 // Draw border
                 pdf.setDrawColor(200, 200, 200);
                 pdf.setLineWidth(0.05);
-                pdf.rect(x, y, cellSize, cellSize, 'S');
+                pdf.rect(x, y, cellWidth, cellHeight, 'S');
             }
         }
     }
@@ -444,9 +776,9 @@ export const exportAsPDF = () => {
     pdf.setFont('helvetica', 'normal');
     pdf.setTextColor(100, 100, 100);
 
-    for (let row = TOTAL_ROWS; row >= 1; row -= 10) {
-        const displayRow = TOTAL_ROWS - row;
-        const y = gridStartY + (displayRow * cellSize) + (cellSize / 2) + 0.5;
+    for (let row = totalRows; row >= 1; row -= 10) {
+        const displayRow = totalRows - row;
+        const y = gridStartY + (displayRow * cellHeight) + (cellHeight / 2) + 0.5;
 
         // Left side
         pdf.text(String(row), gridCenterX - 2, y, { align: 'right' });
@@ -455,8 +787,8 @@ export const exportAsPDF = () => {
     }
 
     // Draw column numbers (every 10 columns for readability)
-    for (let col = 1; col <= TOTAL_COLUMNS; col += 10) {
-        const x = gridCenterX + ((col - 1) * cellSize) + (cellSize / 2);
+    for (let col = 1; col <= maxColumns; col += 10) {
+        const x = gridCenterX + ((col - 1) * cellWidth) + (cellWidth / 2);
 
         // Top
         pdf.text(String(col), x, gridStartY - 1, { align: 'center' });
@@ -468,7 +800,20 @@ export const exportAsPDF = () => {
     pdf.setFontSize(8);
     pdf.setTextColor(128, 128, 128);
     const date = new Date().toLocaleDateString();
-    pdf.text(`Generated on ${date} | Grid: ${TOTAL_COLUMNS} x ${TOTAL_ROWS}`, pageWidth / 2, pageHeight - 5, { align: 'center' });
+    pdf.text(`Generated on ${date} | Grid: ${maxColumns} x ${totalRows} | Gauge: ${describeGauge()}`, pageWidth / 2, pageHeight - 5, { align: 'center' });
+
+    // Shopping list on its own page
+    pdf.addPage();
+    pdf.setFontSize(16);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(0, 0, 0);
+    pdf.text('Shopping List', margin, margin + 5);
+
+    pdf.setFontSize(10);
+    pdf.setFont('helvetica', 'normal');
+    getShoppingList().forEach((line, i) => {
+        pdf.text(line, margin, margin + 15 + (i * 6));
+    });
 
     // Save the PDF
     pdf.save('woolly-sheep-pattern.pdf');
@@ -479,10 +824,14 @@ export const exportAsPDF = () => {
  */
 export const initExport = (exportPNGBtn, exportTextBtn, exportPDFBtn) => {
     if (exportPNGBtn) {
-        exportPNGBtn.addEventListener('click', exportAsPNG);
+        exportPNGBtn.addEventListener('click', () => {
+            if (confirmTechniqueBeforeExport()) exportAsPNG();
+        });
     }
     if (exportTextBtn) {
-        exportTextBtn.addEventListener('click', showInstructionsModal);
+        exportTextBtn.addEventListener('click', () => {
+            if (confirmTechniqueBeforeExport()) showInstructionsModal();
+        });
 
         // Add keyboard shortcut to close modal
         document.addEventListener('keydown', (e) => {
@@ -492,6 +841,8 @@ export const initExport = (exportPNGBtn, exportTextBtn, exportPDFBtn) => {
         });
     }
     if (exportPDFBtn) {
-        exportPDFBtn.addEventListener('click', exportAsPDF);
+        exportPDFBtn.addEventListener('click', () => {
+            if (confirmTechniqueBeforeExport()) exportAsPDF();
+        });
     }
 };
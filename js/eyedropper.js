@@ -0,0 +1,84 @@
+// Eyedropper Module
+// Samples a stitch colour into the colour picker and keeps a strip of recent colours
+
+import { RECENT_COLORS_KEY, RECENT_COLORS_LIMIT } from './config.js';
+import { normalizeColor } from './fill.js';
+import { rgbToHex } from './export.js';
+
+let colorPicker;
+let recentColorsStrip = null;
+let recentColors = [];
+
+/**
+ * Initialize the eyedropper and recent colours strip
+ * @param {HTMLInputElement} colorPickerElement - The colour picker input
+ * @param {HTMLElement} stripElement - Container for the recent colour swatches
+ */
+export const initEyedropper = (colorPickerElement, stripElement) => {
+    colorPicker = colorPickerElement;
+    recentColorsStrip = stripElement;
+
+    try {
+        const stored = localStorage.getItem(RECENT_COLORS_KEY);
+        recentColors = stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        console.error('Error reading recent colours from localStorage:', e);
+        recentColors = [];
+    }
+
+    if (recentColorsStrip) {
+        recentColorsStrip.addEventListener('click', (e) => {
+            const swatch = e.target.closest('[data-color]');
+            if (swatch) {
+                colorPicker.value = swatch.dataset.color;
+            }
+        });
+    }
+
+    renderRecentColors();
+};
+
+/**
+ * Sample a pixel's colour into the colour picker
+ * @param {HTMLElement} pixel - The pixel to sample
+ * @returns {string|null} The sampled hex colour, or null if nothing was sampled
+ */
+export const sampleColor = (pixel) => {
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return null;
+
+    const hex = rgbToHex(normalizeColor(pixel.style.backgroundColor)).toLowerCase();
+    if (colorPicker) colorPicker.value = hex;
+    addRecentColor(hex);
+
+    return hex;
+};
+
+/**
+ * Move a colour to the front of the recent colours strip
+ * @param {string} hex - Colour in #rrggbb format
+ */
+export const addRecentColor = (hex) => {
+    recentColors = [hex, ...recentColors.filter(color => color !== hex)].slice(0, RECENT_COLORS_LIMIT);
+
+    try {
+        localStorage.setItem(RECENT_COLORS_KEY, JSON.stringify(recentColors));
+    } catch (e) {
+        console.error('Error saving recent colours:', e);
+    }
+
+    renderRecentColors();
+};
+
+const renderRecentColors = () => {
+    if (!recentColorsStrip) return;
+
+    recentColorsStrip.innerHTML = '';
+    recentColors.forEach(color => {
+        const swatch = document.createElement('button');
+        swatch.className = 'recent-color';
+        swatch.dataset.color = color;
+        swatch.title = color;
+        swatch.style.backgroundColor = color;
+        recentColorsStrip.appendChild(swatch);
+    });
+};
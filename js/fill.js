@@ -1,46 +1,56 @@
-import { TOTAL_ROWS, TOTAL_COLUMNS } from './config.js';
 import { state, getPixelKey, getPixelByCoords } from './state.js';
 import { pushToUndoStack } from './history.js';
+import { getMirroredPixels } from './symmetry.js';
+import { filterLayerChanges } from './layers.js';
 
-let fillBtn;
 let colorPicker;
 let triggerAutoSaveCallback = null;
 let refreshMinimapCallback = null;
 
-export const initFill = (fillButton, colorPickerElement, autoSaveCallback, minimapCallback = null) => {
-    fillBtn = fillButton;
+export const initFill = (colorPickerElement, autoSaveCallback, minimapCallback = null) => {
     colorPicker = colorPickerElement;
     triggerAutoSaveCallback = autoSaveCallback;
     refreshMinimapCallback = minimapCallback;
 };
 
-export const toggleFillMode = () => {
-    state.isFillMode = !state.isFillMode;
-    if (fillBtn) fillBtn.classList.toggle('active', state.isFillMode);
-    document.body.classList.toggle('fill-mode', state.isFillMode);
-};
-
 export const normalizeColor = (color) => {
     if (!color || color === '' || color === 'transparent') return 'white';
     if (color === 'white' || color === 'rgb(255, 255, 255)') return 'white';
     return color;
 };
 
-export const floodFill = (startPixel, fillColor) => {
-    const startRowIndex = parseInt(startPixel.dataset.rowIndex);
-    const startColIndex = parseInt(startPixel.dataset.colIndex);
+// Neighbour offsets for 4-way and 8-way connectivity
+const ORTHOGONAL_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const ALL_DIRECTIONS = [...ORTHOGONAL_DIRECTIONS, [-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+/**
+ * Find the pixels sharing the start pixel's colour
+ * @param {HTMLElement} startPixel - The pixel to start from
+ * @param {Object} options
+ * @param {boolean} options.global - Match every pixel of that colour, not just the contiguous region
+ * @param {boolean} options.diagonal - Treat diagonal neighbours as connected (8-way)
+ * @param {boolean} options.withinSelection - Only include selected pixels
+ * @returns {Array} Array of { pixel, rowIndex, colIndex } objects
+ */
+export const findColorRegion = (startPixel, options = {}) => {
     const targetColor = normalizeColor(startPixel.style.backgroundColor);
-    const normalizedFillColor = normalizeColor(fillColor);
-
-    if (targetColor === normalizedFillColor) return [];
+    const isAllowed = (pixel) => !options.withinSelection || pixel.classList.contains('selected');
+
+    if (options.global) {
+        return state.pixels
+            .filter(pixel => isAllowed(pixel) && normalizeColor(pixel.style.backgroundColor) === targetColor)
+            .map(pixel => ({
+                pixel,
+                rowIndex: parseInt(pixel.dataset.rowIndex),
+                colIndex: parseInt(pixel.dataset.colIndex)
+            }));
+    }
 
-    const changes = [];
+    const region = [];
     const visited = new Set();
-    const queue = [[startRowIndex, startColIndex]];
+    const queue = [[parseInt(startPixel.dataset.rowIndex), parseInt(startPixel.dataset.colIndex)]];
 
-    const directions = [
-        [-1, 0], [1, 0], [0, -1], [0, 1]
-    ];
+    const directions = options.diagonal ? ALL_DIRECTIONS : ORTHOGONAL_DIRECTIONS;
 
     while (queue.length > 0) {
         const [rowIndex, colIndex] = queue.shift();
@@ -49,12 +59,58 @@ export const floodFill = (startPixel, fillColor) => {
         if (visited.has(key)) continue;
         visited.add(key);
 
+        // Pixels outside the grid or the active shaping are not in the pixel map
         const pixel = getPixelByCoords(rowIndex, colIndex);
-        if (!pixel) continue;
+        if (!pixel || !isAllowed(pixel)) continue;
 
         const pixelColor = normalizeColor(pixel.style.backgroundColor);
         if (pixelColor !== targetColor) continue;
 
+        region.push({ pixel, rowIndex, colIndex });
+
+        for (const [dRow, dCol] of directions) {
+            const newKey = getPixelKey(rowIndex + dRow, colIndex + dCol);
+            if (!visited.has(newKey)) {
+                queue.push([rowIndex + dRow, colIndex + dCol]);
+            }
+        }
+    }
+
+    return region;
+};
+
+/**
+ * Get the region a fill from a pixel would cover
+ * The fill is repeated from the pixel's mirrored counterparts when mirror modes are on;
+ * each start point keeps its own target colour and the regions are merged so cells appear once.
+ * @param {HTMLElement} startPixel - The pixel that was clicked
+ * @param {Object} options - Region options passed to findColorRegion
+ * @param {string|null} skipColor - Normalized colour of start points to skip (e.g. the fill colour)
+ * @returns {Array} Array of { pixel, rowIndex, colIndex } objects
+ */
+export const getFillRegion = (startPixel, options = {}, skipColor = null) => {
+    const regionPixels = new Map();
+    getMirroredPixels(parseInt(startPixel.dataset.rowIndex), parseInt(startPixel.dataset.colIndex))
+        .forEach(({ pixel }) => {
+            if (skipColor && normalizeColor(pixel.style.backgroundColor) === skipColor) return;
+            findColorRegion(pixel, options).forEach(entry => {
+                regionPixels.set(getPixelKey(entry.rowIndex, entry.colIndex), entry);
+            });
+        });
+    return Array.from(regionPixels.values());
+};
+
+/**
+ * Fill the region under a pixel with a solid colour
+ * @param {HTMLElement} startPixel - The pixel that was clicked
+ * @param {string} fillColor - Colour to fill with
+ * @param {Object} options - Region options passed to findColorRegion
+ * @returns {Array} The changes that were made
+ */
+export const floodFill = (startPixel, fillColor, options = {}) => {
+    const changes = [];
+
+    getFillRegion(startPixel, options, normalizeColor(fillColor)).forEach(({ pixel, rowIndex, colIndex }) => {
         changes.push({
             rowIndex,
             colIndex,
@@ -63,26 +119,22 @@ export const floodFill = (startPixel, fillColor) => {
         });
 
         pixel.style.backgroundColor = fillColor;
-
-        for (const [dRow, dCol] of directions) {
-            const newRow = rowIndex + dRow;
-            const newCol = colIndex + dCol;
-            const newKey = getPixelKey(newRow, newCol);
-
-            if (!visited.has(newKey) && newRow >= 1 && newRow <= TOTAL_ROWS && newCol >= 1 && newCol <= TOTAL_COLUMNS) {
-                queue.push([newRow, newCol]);
-            }
-        }
-    }
+    });
 
     return changes;
 };
 
-export const handleFillClick = (pixel) => {
+/**
+ * Fill from a clicked pixel as a single undo operation
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ * @param {Object} options - { diagonal, withinSelection, global }
+ */
+export const handleFillClick = (pixel, options = {}) => {
     if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
 
     const fillColor = colorPicker ? colorPicker.value : '#000000';
-    const changes = floodFill(pixel, fillColor);
+    // Drop cells the active layer already has in the fill colour
+    const changes = filterLayerChanges(floodFill(pixel, fillColor, options));
 
     if (changes.length > 0) {
         pushToUndoStack({ changes });
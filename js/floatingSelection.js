@@ -0,0 +1,223 @@
+// Floating Selection Module
+// Content that hovers over the canvas (pasted or lifted pixels) until it is placed
+
+import { getPixelKey, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { setPixelPreview, clearPixelPreview } from './canvas.js';
+import { refreshLayerPixel, filterLayerChanges } from './layers.js';
+
+let floatingControls = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+/**
+ * The floating content, or null when nothing is floating
+ * cells use offsets from the bottom-left corner: { dRow, dCol, color }
+ * liftChanges are the changes that cleared the content's original position
+ * when it was lifted off the canvas rather than pasted
+ */
+let floating = null;
+let previewPixels = [];
+let dragOrigin = null;
+
+/**
+ * Initialize the floating selection module
+ * @param {Object} options - Initialization options
+ * @param {HTMLElement} options.controls - Container shown while content is floating
+ * @param {HTMLElement} options.placeButton - Button that places the floating content
+ * @param {HTMLElement} options.cancelButton - Button that discards the floating content
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ * @param {Function} options.refreshMinimap - Callback to refresh minimap
+ */
+export const initFloatingSelection = (options = {}) => {
+    floatingControls = options.controls;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+    refreshMinimapCallback = options.refreshMinimap;
+
+    if (options.placeButton) {
+        options.placeButton.addEventListener('click', commitFloatingSelection);
+    }
+    if (options.cancelButton) {
+        options.cancelButton.addEventListener('click', cancelFloatingSelection);
+    }
+
+    updateFloatingControls();
+};
+
+const updateFloatingControls = () => {
+    if (floatingControls) {
+        floatingControls.hidden = floating === null;
+    }
+};
+
+export const isFloatingActive = () => floating !== null;
+
+/**
+ * Get the current floating content
+ * @returns {Object|null} { cells, row, col } or null
+ */
+export const getFloatingSelection = () => floating;
+
+/**
+ * Start floating content over the canvas
+ * Any content already floating is placed first.
+ * @param {Array} cells - Array of { dRow, dCol, color } offsets from the bottom-left corner
+ * @param {number} row - Row of the bottom-left corner
+ * @param {number} col - Column of the bottom-left corner
+ * @param {Array} liftChanges - Changes that lifted the content off the canvas (optional)
+ */
+export const createFloatingSelection = (cells, row, col, liftChanges = []) => {
+    if (floating) {
+        commitFloatingSelection();
+    }
+
+    floating = { cells, row, col, liftChanges };
+    renderFloatingSelection();
+    updateFloatingControls();
+};
+
+/**
+ * Replace the cells of the floating content, keeping its position
+ * @param {Array} cells - Array of { dRow, dCol, color }
+ */
+export const setFloatingCells = (cells) => {
+    if (!floating) return;
+    floating.cells = cells;
+    renderFloatingSelection();
+};
+
+const clearFloatingPreview = () => {
+    previewPixels.forEach(pixel => clearPixelPreview(pixel));
+    previewPixels = [];
+};
+
+const renderFloatingSelection = () => {
+    clearFloatingPreview();
+    if (!floating) return;
+
+    floating.cells.forEach(({ dRow, dCol, color }) => {
+        const pixel = getPixelByCoords(floating.row + dRow, floating.col + dCol);
+        if (pixel) {
+            // Empty cells clear what they land on, so they preview as background
+            setPixelPreview(pixel, color || 'white');
+            previewPixels.push(pixel);
+        }
+    });
+};
+
+/**
+ * Check whether a pixel is covered by the floating content
+ * @param {HTMLElement} pixel
+ * @returns {boolean}
+ */
+export const isPixelInFloating = (pixel) => {
+    if (!floating) return false;
+    const rowIndex = parseInt(pixel.dataset.rowIndex);
+    const colIndex = parseInt(pixel.dataset.colIndex);
+    return floating.cells.some(({ dRow, dCol }) =>
+        floating.row + dRow === rowIndex && floating.col + dCol === colIndex
+    );
+};
+
+/**
+ * Move the floating content to a new bottom-left corner
+ * @param {number} row
+ * @param {number} col
+ */
+export const moveFloatingSelection = (row, col) => {
+    if (!floating) return;
+    if (floating.row === row && floating.col === col) return;
+    floating.row = row;
+    floating.col = col;
+    renderFloatingSelection();
+};
+
+/**
+ * Start dragging the floating content from a pixel
+ * @param {HTMLElement} pixel - The pixel that was grabbed
+ */
+export const startFloatingDrag = (pixel) => {
+    if (!floating) return;
+    dragOrigin = {
+        pointerRow: parseInt(pixel.dataset.rowIndex),
+        pointerCol: parseInt(pixel.dataset.colIndex),
+        row: floating.row,
+        col: floating.col
+    };
+};
+
+/**
+ * Drag the floating content so it follows the pointer
+ * Shaped-off pixels are accepted so content can be dragged past the edges
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const dragFloatingTo = (pixel) => {
+    if (!floating || !dragOrigin || !pixel.classList.contains('pixel')) return;
+    const dRow = parseInt(pixel.dataset.rowIndex) - dragOrigin.pointerRow;
+    const dCol = parseInt(pixel.dataset.colIndex) - dragOrigin.pointerCol;
+    moveFloatingSelection(dragOrigin.row + dRow, dragOrigin.col + dCol);
+};
+
+export const endFloatingDrag = () => {
+    dragOrigin = null;
+};
+
+export const isFloatingDragActive = () => dragOrigin !== null;
+
+/**
+ * Place the floating content on the canvas as a single undo operation
+ * Cells that land outside the active shaping are clipped.
+ */
+export const commitFloatingSelection = () => {
+    if (!floating) return;
+
+    const { cells, row, col, liftChanges } = floating;
+    clearFloatingPreview();
+    floating = null;
+    dragOrigin = null;
+    updateFloatingControls();
+
+    // Start from the lift so a moved cell records its colour from before the lift
+    const changesByKey = new Map();
+    liftChanges.forEach(change => {
+        changesByKey.set(getPixelKey(change.rowIndex, change.colIndex), { ...change });
+    });
+
+    cells.forEach(({ dRow, dCol, color }) => {
+        const rowIndex = row + dRow;
+        const colIndex = col + dCol;
+        const pixel = getPixelByCoords(rowIndex, colIndex);
+        if (!pixel) return;
+
+        const key = getPixelKey(rowIndex, colIndex);
+        const existing = changesByKey.get(key);
+        const oldColor = existing ? existing.oldColor : (pixel.style.backgroundColor || 'white');
+        pixel.style.backgroundColor = color || 'white';
+        changesByKey.set(key, { rowIndex, colIndex, oldColor, newColor: color });
+    });
+
+    const changes = filterLayerChanges(Array.from(changesByKey.values())
+        .filter(change => getPixelByCoords(change.rowIndex, change.colIndex)));
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
+
+/**
+ * Discard the floating content, restoring anything it was lifted from
+ */
+export const cancelFloatingSelection = () => {
+    if (!floating) return;
+
+    floating.liftChanges.forEach(change => refreshLayerPixel(change.rowIndex, change.colIndex));
+
+    clearFloatingPreview();
+    floating = null;
+    dragOrigin = null;
+    updateFloatingControls();
+
+    if (refreshMinimapCallback) refreshMinimapCallback();
+};
@@ -0,0 +1,134 @@
+// Float Checker Module
+// Finds runs of one colour long enough to leave long floats behind them in stranded knitting
+
+import { state, getPixelByCoords, getActiveDimensions, getRowSpan } from './state.js';
+import { getRowRuns } from './export.js';
+import { onHistoryChange } from './history.js';
+import { onLayersChange } from './layers.js';
+import { jumpToRow } from './rowHighlight.js';
+
+let checkButton = null;
+let maxFloatInput = null;
+let floatSummary = null;
+let floatList = null;
+
+// Pixels currently marked as part of a long run
+let markedPixels = [];
+
+/**
+ * Initialize the float checker
+ * @param {Object} options - Initialization options
+ * @param {HTMLElement} options.checkButton - Button that turns the check on and off
+ * @param {HTMLInputElement} options.maxFloatInput - Longest float allowed, in stitches
+ * @param {HTMLElement} options.floatSummary - Short result, e.g. "3 rows with long floats"
+ * @param {HTMLElement} options.floatList - List of the offending rows
+ */
+export const initFloatCheck = (options = {}) => {
+    checkButton = options.checkButton;
+    maxFloatInput = options.maxFloatInput;
+    floatSummary = options.floatSummary;
+    floatList = options.floatList;
+
+    if (checkButton) {
+        checkButton.addEventListener('click', () => setFloatCheckEnabled(!state.floatCheck.enabled));
+    }
+    if (maxFloatInput) {
+        maxFloatInput.value = state.floatCheck.maxFloat;
+        maxFloatInput.addEventListener('change', () => {
+            const maxFloat = parseInt(maxFloatInput.value);
+            if (isNaN(maxFloat) || maxFloat < 1) {
+                maxFloatInput.value = state.floatCheck.maxFloat;
+                return;
+            }
+            state.floatCheck.maxFloat = maxFloat;
+            updateFloatCheck();
+        });
+    }
+    if (floatList) {
+        floatList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-row]');
+            if (button) jumpToRow(parseInt(button.dataset.row));
+        });
+    }
+
+    // Keep the result current as the design changes or layers are shown and hidden
+    onHistoryChange(updateFloatCheck);
+    onLayersChange(updateFloatCheck);
+};
+
+/**
+ * Find every run longer than the maximum float on the active panel
+ * A run only leaves a float when the row has another colour to carry behind it,
+ * so single-colour rows are skipped.
+ * @param {number} maxFloat - Longest float allowed, in stitches
+ * @returns {Array} Array of { rowIndex, runs: [{ start, count, color }] }, bottom row first
+ */
+export const findLongFloats = (maxFloat = state.floatCheck.maxFloat) => {
+    const { totalRows } = getActiveDimensions();
+    const rows = [];
+
+    for (let rowIndex = 1; rowIndex <= totalRows; rowIndex++) {
+        const runs = getRowRuns(rowIndex);
+        if (runs.length < 2) continue;
+
+        const longRuns = runs.filter(run => run.count > maxFloat);
+        if (longRuns.length > 0) {
+            rows.push({ rowIndex, runs: longRuns });
+        }
+    }
+    return rows;
+};
+
+/**
+ * Turn the float check on or off
+ * @param {boolean} enabled
+ */
+export const setFloatCheckEnabled = (enabled) => {
+    state.floatCheck.enabled = enabled;
+    if (checkButton) checkButton.classList.toggle('active', enabled);
+    updateFloatCheck();
+};
+
+const clearFloatMarks = () => {
+    markedPixels.forEach(pixel => pixel.classList.remove('float-long'));
+    markedPixels = [];
+};
+
+/**
+ * Re-run the check and redraw the highlights and row list
+ */
+export const updateFloatCheck = () => {
+    clearFloatMarks();
+    if (floatList) floatList.innerHTML = '';
+    if (floatSummary) floatSummary.textContent = '';
+    if (!state.floatCheck.enabled) return;
+
+    const rows = findLongFloats();
+    rows.forEach(({ rowIndex, runs }) => {
+        runs.forEach(({ start, count }) => {
+            for (let colIndex = start; colIndex < start + count; colIndex++) {
+                const pixel = getPixelByCoords(rowIndex, colIndex);
+                if (pixel) {
+                    pixel.classList.add('float-long');
+                    markedPixels.push(pixel);
+                }
+            }
+        });
+    });
+
+    const { maxFloat } = state.floatCheck;
+    if (floatSummary) {
+        floatSummary.textContent = rows.length === 0
+            ? `No floats longer than ${maxFloat} stitches.`
+            : `${rows.length} row${rows.length === 1 ? '' : 's'} with floats longer than ${maxFloat} stitches:`;
+    }
+    if (floatList) {
+        // Runs start at a chart column; shaped rows are padded, so count stitches from the row's own edge
+        floatList.innerHTML = rows.map(({ rowIndex, runs }) => `
+            <li class="float-item">
+                <button class="float-row-btn" data-row="${rowIndex}" title="Highlight row ${rowIndex}">Row ${rowIndex}</button>
+                <span>${runs.map(run => `${run.count} ${run.color} from st ${run.start - getRowSpan(rowIndex).start + 1}`).join(', ')}</span>
+            </li>
+        `).join('');
+    }
+};
@@ -0,0 +1,131 @@
+// Pixel Font Module
+// Loads the bundled bitmap fonts and turns text into blocks of cells
+
+import { state } from './state.js';
+
+// Built-in font file names, smallest first
+const BUILT_IN_FONTS = [
+    'block-5',
+    'block-7',
+    'block-9'
+];
+
+// Glyph cells marked with this character are part of the letter
+const INK_CELL = 'X';
+
+// Used in place of characters the font doesn't have
+const FALLBACK_GLYPH = '?';
+
+/**
+ * Initialize fonts - load the bundled fonts
+ * @returns {Promise<void>}
+ */
+export const initFonts = async () => {
+    const loadPromises = BUILT_IN_FONTS.map(async (fontId) => {
+        try {
+            const response = await fetch(`./fonts/${fontId}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const font = await response.json();
+
+            const validation = validateFont(font);
+            if (!validation.valid) {
+                console.warn(`Font ${fontId} validation errors:`, validation.errors);
+                return;
+            }
+
+            return font;
+        } catch (err) {
+            console.error(`Failed to load font ${fontId}:`, err);
+        }
+    });
+
+    // Keep the order of BUILT_IN_FONTS regardless of which file loads first
+    const fonts = await Promise.all(loadPromises);
+    fonts.filter(Boolean).forEach(font => {
+        state.textTool.fonts.set(font.id, font);
+    });
+};
+
+/**
+ * Validate a font definition
+ * Glyphs are drawn as strings, top row first, with one string per row of the font.
+ * @param {Object} font - The font to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export const validateFont = (font) => {
+    const errors = [];
+
+    if (!font.id) errors.push('Missing id');
+    if (!font.name) errors.push('Missing name');
+    if (!Number.isInteger(font.height) || font.height < 1) errors.push('Missing height');
+    if (!font.glyphs || typeof font.glyphs !== 'object') {
+        errors.push('Missing glyphs');
+    } else {
+        Object.entries(font.glyphs).forEach(([char, rows]) => {
+            if (!Array.isArray(rows) || rows.length !== font.height) {
+                errors.push(`Glyph "${char}" should have ${font.height} rows`);
+            } else if (rows.some(row => row.length !== rows[0].length)) {
+                errors.push(`Glyph "${char}" has rows of different widths`);
+            }
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Get all fonts, smallest first
+ * @returns {Array} Array of font definitions
+ */
+export const getFonts = () => Array.from(state.textTool.fonts.values());
+
+/**
+ * Get a font by ID
+ * @param {string} fontId
+ * @returns {Object|null}
+ */
+export const getFontById = (fontId) => state.textTool.fonts.get(fontId) || null;
+
+/**
+ * Find the glyph for a character
+ * The fonts are capitals only, so lowercase letters use their capital.
+ * @param {Object} font - Font definition
+ * @param {string} char
+ * @returns {Array|null} Glyph rows, or null if the font has no fallback either
+ */
+const getGlyph = (font, char) =>
+    font.glyphs[char] || font.glyphs[char.toUpperCase()] || font.glyphs[FALLBACK_GLYPH] || null;
+
+/**
+ * Lay out a line of text as a block of cells
+ * @param {string} text - Text to render
+ * @param {Object} font - Font definition
+ * @param {string} color - Colour of the letters
+ * @returns {Object} { width, height, cells: [{ dRow, dCol, color }] } with rows counting up from the bottom
+ */
+export const renderText = (text, font, color) => {
+    const spacing = font.letterSpacing || 0;
+    const cells = [];
+    let x = 0;
+
+    [...text].forEach(char => {
+        const glyph = getGlyph(font, char);
+        if (!glyph) return;
+
+        glyph.forEach((row, index) => {
+            [...row].forEach((cell, c) => {
+                if (cell === INK_CELL) {
+                    cells.push({ dRow: font.height - 1 - index, dCol: x + c, color });
+                }
+            });
+        });
+        x += glyph[0].length + spacing;
+    });
+
+    return { width: Math.max(x - spacing, 0), height: font.height, cells };
+};
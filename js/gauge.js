@@ -0,0 +1,87 @@
+// Gauge Module
+// Stitches and rows per 10 cm, and the cell shape that follows from them
+
+import { DEFAULT_GAUGE } from './config.js';
+import { state } from './state.js';
+
+// Width of a chart cell in the editor, matching .pixel in styles.css
+export const CELL_WIDTH = 10;
+
+let stitchesInput = null;
+let rowsInput = null;
+let triggerAutoSaveCallback = null;
+let onGaugeChangeCallback = null;
+
+/**
+ * Initialize the gauge inputs
+ * @param {Object} options - Initialization options
+ * @param {HTMLInputElement} options.stitchesInput - Stitches per 10 cm
+ * @param {HTMLInputElement} options.rowsInput - Rows per 10 cm
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ * @param {Function} options.onGaugeChange - Callback after the gauge is set
+ */
+export const initGauge = (options = {}) => {
+    stitchesInput = options.stitchesInput;
+    rowsInput = options.rowsInput;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+    onGaugeChangeCallback = options.onGaugeChange;
+
+    [stitchesInput, rowsInput].forEach(input => {
+        if (input) input.addEventListener('change', handleGaugeInput);
+    });
+
+    setGauge(state.gauge, false);
+};
+
+/**
+ * Check a gauge is usable
+ * @param {Object} gauge - { stitches, rows }
+ * @returns {boolean}
+ */
+export const isValidGauge = (gauge) =>
+    !!gauge &&
+    Number.isFinite(gauge.stitches) && gauge.stitches > 0 &&
+    Number.isFinite(gauge.rows) && gauge.rows > 0;
+
+export const getGauge = () => state.gauge;
+
+/**
+ * Get a cell's height for a given width
+ * A stitch is 10/stitches cm wide and 10/rows cm tall.
+ * @param {number} width - Cell width in any unit
+ * @returns {number} Cell height in the same unit
+ */
+export const getCellHeight = (width = CELL_WIDTH) => width * state.gauge.stitches / state.gauge.rows;
+
+/**
+ * Set the gauge and reshape the chart cells to match
+ * @param {Object} gauge - { stitches, rows } per 10 cm; invalid values fall back to the default
+ * @param {boolean} persist - Auto-save the change (off when the gauge comes from a save)
+ */
+export const setGauge = (gauge, persist = true) => {
+    state.gauge = isValidGauge(gauge)
+        ? { stitches: gauge.stitches, rows: gauge.rows }
+        : { ...DEFAULT_GAUGE };
+
+    if (stitchesInput) stitchesInput.value = state.gauge.stitches;
+    if (rowsInput) rowsInput.value = state.gauge.rows;
+
+    document.documentElement.style.setProperty('--cell-height', `${getCellHeight()}px`);
+
+    if (onGaugeChangeCallback) onGaugeChangeCallback();
+    if (persist && triggerAutoSaveCallback) triggerAutoSaveCallback();
+};
+
+const handleGaugeInput = () => {
+    const gauge = {
+        stitches: parseFloat(stitchesInput.value),
+        rows: parseFloat(rowsInput.value)
+    };
+
+    if (!isValidGauge(gauge)) {
+        alert('Gauge must be a number of stitches and rows greater than 0.');
+        setGauge(state.gauge, false);
+        return;
+    }
+    setGauge(gauge);
+};
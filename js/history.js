@@ -1,38 +1,89 @@
 import { HISTORY_LIMIT } from './config.js';
-import { state, getPixelByCoords } from './state.js';
+import { state } from './state.js';
+import { recordLayerChanges, setLayerCell, restoreLayerStack } from './layers.js';
+import { setCellStitch } from './stitches.js';
 
 let undoBtn, redoBtn;
 
+// Called after the canvas changes through history: an edit, undo, redo or a cleared history
+const historyListeners = [];
+
 export const initHistory = (undoButton, redoButton) => {
     undoBtn = undoButton;
     redoBtn = redoButton;
 };
 
+/**
+ * Register a callback for whenever history changes the canvas
+ * @param {Function} callback
+ */
+export const onHistoryChange = (callback) => {
+    historyListeners.push(callback);
+};
+
+const notifyHistoryChange = () => historyListeners.forEach(callback => callback());
+
 export const updateUndoRedoButtons = () => {
     if (undoBtn) undoBtn.disabled = state.undoStack.length === 0;
     if (redoBtn) redoBtn.disabled = state.redoStack.length === 0;
 };
 
+/**
+ * Apply one side of a recorded change to the layer it was made on
+ * @param {Object} change - { rowIndex, colIndex, oldColor, newColor, layerId, panel? }
+ * @param {string} color - The colour to apply
+ */
+const applyChange = (change, color) => {
+    const panel = change.panel || state.jumperConfig.activePanel;
+    setLayerCell(panel, change.layerId, change.rowIndex, change.colIndex, color);
+};
+
+/**
+ * Apply one side of every change in an operation
+ * Stitch operations ({ type: 'stitch' }) change the stitch worked in a cell, not its colour.
+ * Layer operations ({ type: 'layers', panel, oldLayers, newLayers }) swap a panel's whole
+ * layer stack, and its stitch map too when they carry oldStitches and newStitches.
+ * @param {Object} operation - { type?, changes }
+ * @param {string} side - 'old' or 'new'
+ */
+const applyOperation = (operation, side) => {
+    if (operation.type === 'layers') {
+        // Stitches go back first so the redraw of the layers shows their symbols
+        const stitches = operation[`${side}Stitches`];
+        if (stitches) state.design.stitches[operation.panel] = { ...stitches };
+        restoreLayerStack(operation.panel, operation[`${side}Layers`]);
+        return;
+    }
+    operation.changes.forEach(change => {
+        if (operation.type === 'stitch') {
+            const panel = change.panel || state.jumperConfig.activePanel;
+            setCellStitch(panel, change.rowIndex, change.colIndex, change[`${side}Stitch`]);
+        } else {
+            applyChange(change, change[`${side}Color`]);
+        }
+    });
+};
+
 export const pushToUndoStack = (operation) => {
-    if (operation.changes.length === 0) return;
+    if (operation.type !== 'layers' && operation.changes.length === 0) return;
+    // Edits land on the active layer; nothing is recorded if it can't be drawn on.
+    // Stitches belong to the panel, and layer operations have already been applied.
+    if (!operation.type && !recordLayerChanges(operation.changes)) return;
     state.undoStack.push(operation);
     if (state.undoStack.length > HISTORY_LIMIT) {
         state.undoStack.shift();
     }
     state.redoStack = [];
     updateUndoRedoButtons();
+    notifyHistoryChange();
 };
 
 export const undo = (onComplete) => {
     if (state.undoStack.length === 0) return;
     const operation = state.undoStack.pop();
     requestAnimationFrame(() => {
-        operation.changes.forEach(change => {
-            const pixel = getPixelByCoords(change.rowIndex, change.colIndex);
-            if (pixel) {
-                pixel.style.backgroundColor = change.oldColor;
-            }
-        });
+        applyOperation(operation, 'old');
+        notifyHistoryChange();
     });
     state.redoStack.push(operation);
     updateUndoRedoButtons();
@@ -43,12 +94,8 @@ export const redo = (onComplete) => {
     if (state.redoStack.length === 0) return;
     const operation = state.redoStack.pop();
     requestAnimationFrame(() => {
-        operation.changes.forEach(change => {
-            const pixel = getPixelByCoords(change.rowIndex, change.colIndex);
-            if (pixel) {
-                pixel.style.backgroundColor = change.newColor;
-            }
-        });
+        applyOperation(operation, 'new');
+        notifyHistoryChange();
     });
     state.undoStack.push(operation);
     updateUndoRedoButtons();
@@ -59,4 +106,5 @@ export const clearHistory = () => {
     state.undoStack = [];
     state.redoStack = [];
     updateUndoRedoButtons();
+    notifyHistoryChange();
 };
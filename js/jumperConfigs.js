@@ -75,6 +75,9 @@ export const validateJumperConfig = (config) => {
     if (!config.name) errors.push('Missing name');
     if (!config.type) errors.push('Missing type');
     if (!config.sizes) errors.push('Missing sizes');
+    if (config.construction && !['flat', 'round'].includes(config.construction)) {
+        errors.push(`Invalid construction: ${config.construction} (use "flat" or "round")`);
+    }
 
     // Validate each size configuration
     if (config.sizes) {
@@ -0,0 +1,158 @@
+// Layer Panel Module
+// Sidebar list of the active panel's layers with visibility, lock, reorder and merge controls
+
+import { state } from './state.js';
+import {
+    getLayers, getActiveLayer, onLayersChange, renderLayers, setActiveLayer, addLayer, deleteLayer,
+    moveLayer, mergeLayerDown, setLayerVisible, setLayerLocked, renameLayer, captureLayerStack
+} from './layers.js';
+import { pushToUndoStack } from './history.js';
+import { commitFloatingSelection } from './floatingSelection.js';
+import { escapeHtml } from './ui.js';
+
+let layerList = null;
+let upButton = null;
+let downButton = null;
+let mergeButton = null;
+let deleteButton = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+/**
+ * Initialize the layer panel
+ * @param {Object} options - Initialization options
+ * @param {HTMLElement} options.layerList - List the layers are shown in
+ * @param {HTMLElement} options.addButton - Button that adds a layer
+ * @param {HTMLElement} options.upButton - Button that moves the active layer up
+ * @param {HTMLElement} options.downButton - Button that moves the active layer down
+ * @param {HTMLElement} options.mergeButton - Button that merges the active layer down
+ * @param {HTMLElement} options.deleteButton - Button that deletes the active layer
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ * @param {Function} options.refreshMinimap - Callback to refresh minimap
+ */
+export const initLayerPanel = (options = {}) => {
+    layerList = options.layerList;
+    upButton = options.upButton;
+    downButton = options.downButton;
+    mergeButton = options.mergeButton;
+    deleteButton = options.deleteButton;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+    refreshMinimapCallback = options.refreshMinimap;
+
+    if (!layerList) return;
+
+    if (options.addButton) {
+        options.addButton.addEventListener('click', () => runLayerAction(() => addLayer()));
+    }
+    if (upButton) {
+        upButton.addEventListener('click', () => runLayerAction(() => moveLayer(getActiveLayer().id, 1)));
+    }
+    if (downButton) {
+        downButton.addEventListener('click', () => runLayerAction(() => moveLayer(getActiveLayer().id, -1)));
+    }
+    if (mergeButton) {
+        mergeButton.addEventListener('click', handleMergeDown);
+    }
+    if (deleteButton) {
+        deleteButton.addEventListener('click', handleDeleteLayer);
+    }
+
+    layerList.addEventListener('click', handleListClick);
+    layerList.addEventListener('dblclick', handleListDoubleClick);
+
+    onLayersChange(renderLayerList);
+
+    // Create both panels' stacks now, while the canvas still matches the design
+    renderLayers();
+};
+
+/**
+ * Run a change to the layer stack as one undo step, placing floating content first
+ * so it lands on the layer that was active when it was made
+ * @param {Function} action - Returns false if nothing changed
+ */
+const runLayerAction = (action) => {
+    commitFloatingSelection();
+    const panel = state.jumperConfig.activePanel;
+    const oldLayers = captureLayerStack(panel);
+    if (action() === false) return;
+
+    pushToUndoStack({ type: 'layers', panel, oldLayers, newLayers: captureLayerStack(panel), changes: [] });
+    if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+    if (refreshMinimapCallback) refreshMinimapCallback();
+};
+
+const handleMergeDown = () => {
+    const layers = getLayers();
+    const layer = getActiveLayer();
+    const index = layers.indexOf(layer);
+    if (index <= 0) return;
+
+    runLayerAction(() => mergeLayerDown(layer.id));
+};
+
+const handleDeleteLayer = () => {
+    const layer = getActiveLayer();
+    if (getLayers().length === 1) return;
+
+    runLayerAction(() => deleteLayer(layer.id));
+};
+
+const handleListClick = (e) => {
+    const item = e.target.closest('[data-layer-id]');
+    if (!item) return;
+
+    const layerId = item.dataset.layerId;
+    const layer = getLayers().find(l => l.id === layerId);
+    const action = e.target.closest('[data-layer-action]');
+
+    if (action && action.dataset.layerAction === 'visible') {
+        runLayerAction(() => setLayerVisible(layerId, !layer.visible));
+    } else if (action && action.dataset.layerAction === 'lock') {
+        runLayerAction(() => setLayerLocked(layerId, !layer.locked));
+    } else {
+        commitFloatingSelection();
+        setActiveLayer(layerId);
+    }
+};
+
+const handleListDoubleClick = (e) => {
+    const item = e.target.closest('[data-layer-id]');
+    if (!item || e.target.closest('[data-layer-action]')) return;
+
+    const layer = getLayers().find(l => l.id === item.dataset.layerId);
+    const name = prompt('Layer name:', layer.name);
+    if (name && name.trim()) {
+        renameLayer(layer.id, name.trim());
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+    }
+};
+
+/**
+ * Redraw the layer list, top layer first as it appears on the canvas
+ */
+const renderLayerList = () => {
+    if (!layerList) return;
+
+    const layers = getLayers();
+    const activeLayer = getActiveLayer();
+    const activeIndex = layers.indexOf(activeLayer);
+
+    layerList.innerHTML = [...layers].reverse().map(layer => `
+        <li class="layer-item${layer === activeLayer ? ' active' : ''}${layer.visible ? '' : ' hidden-layer'}"
+            data-layer-id="${layer.id}" title="Click to draw on this layer, double-click to rename">
+            <button class="layer-toggle" data-layer-action="visible" title="${layer.visible ? 'Hide' : 'Show'} layer">
+                <i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+            </button>
+            <button class="layer-toggle${layer.locked ? ' on' : ''}" data-layer-action="lock" title="${layer.locked ? 'Unlock' : 'Lock'} layer">
+                <i class="fas ${layer.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+            </button>
+            <span class="layer-name">${escapeHtml(layer.name)}</span>
+        </li>
+    `).join('');
+
+    if (upButton) upButton.disabled = activeIndex === layers.length - 1;
+    if (downButton) downButton.disabled = activeIndex === 0;
+    if (mergeButton) mergeButton.disabled = activeIndex === 0;
+    if (deleteButton) deleteButton.disabled = layers.length === 1;
+};
@@ -0,0 +1,531 @@
+// Layers Module
+// A stack of layers per panel, composited onto the canvas so backgrounds, motifs
+// and lettering can be edited without damaging each other
+
+import { state, getDesignKey, getPixelByCoords } from './state.js';
+import { captureCanvasDesign } from './canvas.js';
+
+const PANELS = ['front', 'back'];
+
+let nextLayerNumber = 1;
+let changeListeners = [];
+
+// Scratch element used to compare colours written in different forms
+let colorSwatch = null;
+
+/**
+ * Convert a colour to the form the browser reports it in, e.g. '#ff0000' -> 'rgb(255, 0, 0)'
+ * @param {string} color
+ * @returns {string}
+ */
+const toComputedColor = (color) => {
+    if (!colorSwatch) colorSwatch = document.createElement('div');
+    colorSwatch.style.backgroundColor = '';
+    colorSwatch.style.backgroundColor = color;
+    // Named colours are reported as written; 'white' is the only one the app uses
+    const computed = colorSwatch.style.backgroundColor;
+    return computed === 'white' ? 'rgb(255, 255, 255)' : computed;
+};
+
+/**
+ * White is the background colour, so flattened designs leave white cells out
+ * @param {string} color
+ * @returns {boolean}
+ */
+const isWhite = (color) => toComputedColor(color) === 'rgb(255, 255, 255)';
+
+/**
+ * Create an empty layer
+ * @param {string} name - Display name
+ * @param {Object} cells - { "row-col": color } (optional)
+ * @returns {Object} { id, name, visible, locked, cells }
+ */
+export const createLayer = (name, cells = {}) => ({
+    id: `layer-${Date.now().toString(36)}-${nextLayerNumber++}`,
+    name,
+    visible: true,
+    locked: false,
+    cells: { ...cells }
+});
+
+/**
+ * Create a panel's layer stack holding a single background layer
+ * @param {Object} cells - Design to start the background with
+ * @returns {Object} { activeLayerId, layers } with layers ordered bottom first
+ */
+const createLayerStack = (cells = {}) => {
+    const background = createLayer('Background', cells);
+    return { activeLayerId: background.id, layers: [background] };
+};
+
+/**
+ * Register a callback run whenever the layers of the panel on the canvas change
+ * @param {Function} callback
+ */
+export const onLayersChange = (callback) => {
+    changeListeners.push(callback);
+};
+
+const notifyLayersChange = () => {
+    changeListeners.forEach(callback => callback());
+};
+
+/**
+ * Get a panel's layer stack, creating one from its design if it has none yet
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Object} { activeLayerId, layers }
+ */
+export const getLayerStack = (panel = state.jumperConfig.activePanel) => {
+    if (!state.design.layers) {
+        state.design.layers = {};
+    }
+    if (!state.design.layers[panel]) {
+        const cells = panel === state.jumperConfig.activePanel
+            ? captureCanvasDesign()
+            : state.design[panel] || {};
+        state.design.layers[panel] = createLayerStack(cells);
+    }
+    return state.design.layers[panel];
+};
+
+/**
+ * Get a panel's layers, bottom first
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Array}
+ */
+export const getLayers = (panel) => getLayerStack(panel).layers;
+
+/**
+ * Get a layer by ID
+ * @param {string} layerId
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Object|null}
+ */
+export const getLayerById = (layerId, panel) =>
+    getLayers(panel).find(layer => layer.id === layerId) || null;
+
+/**
+ * Get the layer that edits are written to
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Object}
+ */
+export const getActiveLayer = (panel) => {
+    const stack = getLayerStack(panel);
+    return stack.layers.find(layer => layer.id === stack.activeLayerId) || stack.layers[stack.layers.length - 1];
+};
+
+/**
+ * Check whether the active layer can be drawn on
+ * @returns {boolean} False if it is locked or hidden
+ */
+export const canEditActiveLayer = () => {
+    const layer = getActiveLayer();
+    return layer.visible && !layer.locked;
+};
+
+/**
+ * Check that the active layer can be drawn on, and say why if it can't
+ * Actions started from a button call this before touching the canvas; the canvas
+ * tools are kept off a locked or hidden layer by the layer-locked body class.
+ * @returns {boolean}
+ */
+export const ensureActiveLayerEditable = () => {
+    if (canEditActiveLayer()) return true;
+    const layer = getActiveLayer();
+    alert(`"${layer.name}" is ${layer.locked ? 'locked' : 'hidden'}. Choose another layer or ${layer.locked ? 'unlock' : 'show'} it to draw on it.`);
+    return false;
+};
+
+/**
+ * Get the colour shown in a cell: the topmost visible layer that has one
+ * @param {Array} layers - Layers, bottom first
+ * @param {string} key - Design key "row-col"
+ * @returns {string|undefined}
+ */
+const getCompositeColor = (layers, key) => {
+    for (let i = layers.length - 1; i >= 0; i--) {
+        if (layers[i].visible && layers[i].cells[key]) {
+            return layers[i].cells[key];
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Flatten a panel's visible layers into a single design
+ * This is what gets knitted, so exports and the other-panel design use it.
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Object} { "row-col": color }
+ */
+export const flattenLayers = (panel) => {
+    const design = {};
+    getLayers(panel).forEach(layer => {
+        if (layer.visible) {
+            Object.assign(design, layer.cells);
+        }
+    });
+    // A white cell still covers the layers below, but is knitted as background
+    Object.keys(design).forEach(key => {
+        if (isWhite(design[key])) delete design[key];
+    });
+    return design;
+};
+
+/**
+ * Redraw one pixel of the canvas from the active panel's layers
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ */
+export const refreshLayerPixel = (rowIndex, colIndex) => {
+    const pixel = getPixelByCoords(rowIndex, colIndex);
+    if (pixel) {
+        pixel.style.backgroundColor = getCompositeColor(getLayers(), getDesignKey(rowIndex, colIndex)) || 'white';
+    }
+};
+
+/**
+ * Redraw the whole canvas from the active panel's layers
+ */
+export const renderLayers = () => {
+    const panel = state.jumperConfig.activePanel;
+    const layers = getLayers(panel);
+
+    state.pixels.forEach(pixel => {
+        const key = getDesignKey(pixel.dataset.rowIndex, pixel.dataset.colIndex);
+        pixel.style.backgroundColor = getCompositeColor(layers, key) || 'white';
+    });
+    state.design[panel] = flattenLayers(panel);
+
+    document.body.classList.toggle('layer-locked', !canEditActiveLayer());
+    notifyLayersChange();
+};
+
+/**
+ * Write one cell of a layer and update what the panel shows
+ * @param {string} panel - 'front' or 'back'
+ * @param {string} layerId
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @param {string|null} color - Null clears the cell so the layers below show through
+ */
+export const setLayerCell = (panel, layerId, rowIndex, colIndex, color) => {
+    const layers = getLayers(panel);
+    const layer = layers.find(l => l.id === layerId);
+    if (!layer) return;
+
+    const key = getDesignKey(rowIndex, colIndex);
+    if (!color) {
+        delete layer.cells[key];
+    } else {
+        layer.cells[key] = color;
+    }
+
+    if (panel === state.jumperConfig.activePanel) {
+        refreshLayerPixel(rowIndex, colIndex);
+    } else {
+        const design = state.design[panel] || (state.design[panel] = {});
+        const composite = getCompositeColor(layers, key);
+        if (composite && !isWhite(composite)) {
+            design[key] = composite;
+        } else {
+            delete design[key];
+        }
+    }
+};
+
+/**
+ * Write edits made on the canvas into the active layer
+ * Tools paint the canvas directly; this moves their changes onto the layer, rewrites
+ * each change's old colour to the layer's own, and redraws the cells so layers above
+ * keep covering them. Changes that already name a layer are left alone.
+ * @param {Array} changes - Array of { rowIndex, colIndex, oldColor, newColor, panel?, layerId? }
+ * Tools check the layer before they start, so the rollback here is only a safeguard.
+ * @returns {boolean} False if the active layer is locked or hidden and the edit was undone
+ */
+export const recordLayerChanges = (changes) => {
+    const activePanel = state.jumperConfig.activePanel;
+    const pending = changes.filter(change =>
+        !change.layerId && (!change.panel || change.panel === activePanel)
+    );
+    if (pending.length === 0) return true;
+
+    if (!ensureActiveLayerEditable()) {
+        pending.forEach(change => refreshLayerPixel(change.rowIndex, change.colIndex));
+        return false;
+    }
+
+    const layer = getActiveLayer();
+
+    pending.forEach(change => {
+        change.oldColor = layer.cells[getDesignKey(change.rowIndex, change.colIndex)] || null;
+        change.layerId = layer.id;
+        setLayerCell(activePanel, layer.id, change.rowIndex, change.colIndex, change.newColor);
+    });
+    return true;
+};
+
+/**
+ * Get a layer's colour in a cell, ignoring the layers above and below
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {string|null} The colour, or null if the layer is empty there
+ */
+export const getActiveLayerColor = (rowIndex, colIndex) =>
+    getActiveLayer().cells[getDesignKey(rowIndex, colIndex)] || null;
+
+/**
+ * Drop changes that would leave the active layer as it already is
+ * Colours are compared by value ('#ff0000' matches 'rgb(255, 0, 0)'), and an empty
+ * cell only matches another empty cell, so painting a colour that shows through from
+ * a lower layer still reaches the active one. Tools preview their edits on the canvas,
+ * so the dropped cells are redrawn from the layers.
+ * @param {Array} changes - Array of { rowIndex, colIndex, newColor }
+ * @returns {Array} The changes that alter the active layer
+ */
+export const filterLayerChanges = (changes) => changes.filter(change => {
+    const current = getActiveLayerColor(change.rowIndex, change.colIndex);
+    const unchanged = current && change.newColor
+        ? toComputedColor(current) === toComputedColor(change.newColor)
+        : !current && !change.newColor;
+    if (unchanged) refreshLayerPixel(change.rowIndex, change.colIndex);
+    return !unchanged;
+});
+
+/**
+ * Replace a panel's layers with a single background layer
+ * @param {string} panel - 'front' or 'back'
+ * @param {Object} cells - Design for the background layer (optional)
+ */
+export const resetLayers = (panel, cells = {}) => {
+    getLayerStack(panel);
+    state.design.layers[panel] = createLayerStack(cells);
+};
+
+/**
+ * Rewrite the cells of every layer on a panel, e.g. to mirror or port the design
+ * @param {string} panel - 'front' or 'back'
+ * @param {Function} transform - (cells) => new cells
+ * @returns {Object} The flattened result
+ */
+export const transformLayerCells = (panel, transform) => {
+    getLayers(panel).forEach(layer => {
+        layer.cells = transform(layer.cells);
+    });
+    return flattenLayers(panel);
+};
+
+/**
+ * Copy a layer stack so later edits don't reach the copy
+ * @param {Object} stack - { activeLayerId, layers }
+ * @returns {Object}
+ */
+const cloneLayerStack = (stack) => ({
+    activeLayerId: stack.activeLayerId,
+    layers: stack.layers.map(layer => ({ ...layer, cells: { ...layer.cells } }))
+});
+
+/**
+ * Copy one panel's layers onto another
+ * @param {string} sourcePanel
+ * @param {string} targetPanel
+ */
+export const copyLayers = (sourcePanel, targetPanel) => {
+    state.design.layers[targetPanel] = cloneLayerStack(getLayerStack(sourcePanel));
+};
+
+/**
+ * Take a copy of a panel's layers, e.g. to undo a change to the whole stack
+ * @param {string} panel - 'front' or 'back'
+ * @returns {Object} { activeLayerId, layers }
+ */
+export const captureLayerStack = (panel) => cloneLayerStack(getLayerStack(panel));
+
+/**
+ * Put back a panel's layers from captureLayerStack and redraw what shows them
+ * @param {string} panel - 'front' or 'back'
+ * @param {Object} stack - { activeLayerId, layers }
+ */
+export const restoreLayerStack = (panel, stack) => {
+    getLayerStack(panel);
+    state.design.layers[panel] = cloneLayerStack(stack);
+    if (panel === state.jumperConfig.activePanel) {
+        renderLayers();
+    } else {
+        state.design[panel] = flattenLayers(panel);
+    }
+};
+
+/**
+ * Get both panels' layers for saving
+ * @returns {Object} { front: { activeLayerId, layers }, back: { ... } }
+ */
+export const serializeLayers = () => {
+    const saved = {};
+    PANELS.forEach(panel => {
+        const stack = getLayerStack(panel);
+        saved[panel] = {
+            activeLayerId: stack.activeLayerId,
+            layers: stack.layers.map(layer => ({ ...layer, cells: { ...layer.cells } }))
+        };
+    });
+    return saved;
+};
+
+/**
+ * Restore both panels' layers from saved data
+ * Saves from before layers existed get a single background layer holding the design.
+ * @param {Object|undefined} saved - Result of serializeLayers
+ */
+export const loadLayers = (saved) => {
+    state.design.layers = {};
+    PANELS.forEach(panel => {
+        const stack = saved && saved[panel];
+        if (stack && Array.isArray(stack.layers) && stack.layers.length > 0) {
+            state.design.layers[panel] = {
+                activeLayerId: stack.activeLayerId,
+                layers: stack.layers.map(layer => ({
+                    id: layer.id,
+                    name: layer.name,
+                    visible: layer.visible !== false,
+                    locked: !!layer.locked,
+                    cells: { ...layer.cells }
+                }))
+            };
+            state.design[panel] = flattenLayers(panel);
+        } else {
+            state.design.layers[panel] = createLayerStack(state.design[panel] || {});
+        }
+    });
+};
+
+// ===== LAYER STACK OPERATIONS =====
+// These act on the panel on the canvas and redraw it
+
+/**
+ * Choose the layer that edits are written to
+ * @param {string} layerId
+ */
+export const setActiveLayer = (layerId) => {
+    if (!getLayerById(layerId)) return;
+    getLayerStack().activeLayerId = layerId;
+    document.body.classList.toggle('layer-locked', !canEditActiveLayer());
+    notifyLayersChange();
+};
+
+/**
+ * Add an empty layer above the active one and make it active
+ * @param {string} name - Display name (optional)
+ * @returns {Object} The new layer
+ */
+export const addLayer = (name) => {
+    const stack = getLayerStack();
+    const layer = createLayer(name || `Layer ${stack.layers.length + 1}`);
+    const index = stack.layers.indexOf(getActiveLayer());
+    stack.layers.splice(index + 1, 0, layer);
+    stack.activeLayerId = layer.id;
+    renderLayers();
+    return layer;
+};
+
+/**
+ * Delete a layer; the last remaining layer can't be deleted
+ * @param {string} layerId
+ * @returns {boolean} True if deleted
+ */
+export const deleteLayer = (layerId) => {
+    const stack = getLayerStack();
+    const index = stack.layers.findIndex(layer => layer.id === layerId);
+    if (index === -1 || stack.layers.length === 1) return false;
+
+    stack.layers.splice(index, 1);
+    if (stack.activeLayerId === layerId) {
+        stack.activeLayerId = stack.layers[Math.max(index - 1, 0)].id;
+    }
+    renderLayers();
+    return true;
+};
+
+/**
+ * Move a layer up or down the stack
+ * @param {string} layerId
+ * @param {number} direction - 1 moves it up (in front), -1 down
+ * @returns {boolean} True if moved
+ */
+export const moveLayer = (layerId, direction) => {
+    const { layers } = getLayerStack();
+    const index = layers.findIndex(layer => layer.id === layerId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= layers.length) return false;
+
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    renderLayers();
+    return true;
+};
+
+/**
+ * Merge a layer into the one below it
+ * The upper layer's cells cover the lower layer's, as they do on the canvas. Both layers
+ * have to be shown, so the merge never brings hidden cells into view or hides shown ones,
+ * and the lower layer has to be unlocked, as it is the one written to.
+ * @param {string} layerId
+ * @returns {boolean} True if merged
+ */
+export const mergeLayerDown = (layerId) => {
+    const stack = getLayerStack();
+    const index = stack.layers.findIndex(layer => layer.id === layerId);
+    if (index <= 0) return false;
+
+    const upper = stack.layers[index];
+    const lower = stack.layers[index - 1];
+    if (lower.locked) {
+        alert(`"${lower.name}" is locked. Unlock it to merge "${upper.name}" into it.`);
+        return false;
+    }
+    const hidden = [upper, lower].find(layer => !layer.visible);
+    if (hidden) {
+        alert(`"${hidden.name}" is hidden. Show it before merging, so the result looks as it does now.`);
+        return false;
+    }
+    Object.assign(lower.cells, upper.cells);
+    stack.layers.splice(index, 1);
+    stack.activeLayerId = lower.id;
+    renderLayers();
+    return true;
+};
+
+/**
+ * Show or hide a layer
+ * @param {string} layerId
+ * @param {boolean} visible
+ */
+export const setLayerVisible = (layerId, visible) => {
+    const layer = getLayerById(layerId);
+    if (!layer) return;
+    layer.visible = visible;
+    renderLayers();
+};
+
+/**
+ * Lock or unlock a layer against edits
+ * @param {string} layerId
+ * @param {boolean} locked
+ */
+export const setLayerLocked = (layerId, locked) => {
+    const layer = getLayerById(layerId);
+    if (!layer) return;
+    layer.locked = locked;
+    document.body.classList.toggle('layer-locked', !canEditActiveLayer());
+    notifyLayersChange();
+};
+
+/**
+ * Rename a layer
+ * @param {string} layerId
+ * @param {string} name
+ */
+export const renameLayer = (layerId, name) => {
+    const layer = getLayerById(layerId);
+    if (!layer || !name) return;
+    layer.name = name;
+    notifyLayersChange();
+};
@@ -1,16 +1,46 @@
 import { state } from './state.js';
 import { buildCanvas } from './canvas.js';
 import { initHistory, updateUndoRedoButtons, pushToUndoStack, undo, redo, clearHistory } from './history.js';
-import { initSymmetry, toggleMirrorH, toggleMirrorV, reflectPatternH, reflectPatternV, updateSymmetryLines } from './symmetry.js';
-import { toggleSelect, selectPixel, selectAdjacentPixels, clearSelection } from './selection.js';
-import { initFill, toggleFillMode, handleFillClick } from './fill.js';
+import { initSymmetry, toggleMirrorH, toggleMirrorV, reflectPatternH, reflectPatternV, resetSymmetryCenter, updateSymmetryLines } from './symmetry.js';
+import {
+    toggleSelect, selectPixel, clearSelection, magicWandSelect, getSelectionMode,
+    startAreaSelection, updateAreaSelection, finishAreaSelection, cancelAreaSelection, isAreaSelectionActive
+} from './selection.js';
+import { initClipboard, copySelection, cutSelection, pasteClipboard, liftSelection } from './clipboard.js';
+import {
+    initFloatingSelection, isFloatingActive, isPixelInFloating, startFloatingDrag, dragFloatingTo,
+    endFloatingDrag, isFloatingDragActive, commitFloatingSelection, cancelFloatingSelection
+} from './floatingSelection.js';
+import { initTransform, transformSelection } from './transform.js';
+import { initBand, repeatSelectionAsBand } from './band.js';
+import { initRecolor, showRecolorModal, hideRecolorModal, isRecolorModalOpen } from './recolor.js';
+import { initBrush } from './brush.js';
+import { initStitches, beginStitchStroke, paintStitch, endStitchStroke, getPanelStitches, clearPanelStitches } from './stitches.js';
+import { initFill, handleFillClick } from './fill.js';
+import { initPatternFill, handlePatternFillClick } from './patternFill.js';
+import { initPaint, beginStroke, paintPixel, endStroke } from './paint.js';
+import { initTools, isSamplingEvent, LAYER_TOOLS } from './tools.js';
+import { initEyedropper, sampleColor } from './eyedropper.js';
+import { initShapes, isShapeTool, startShape, updateShape, commitShape, cancelShape, isShapeInProgress } from './shapes.js';
 import { initZoom, zoomIn, zoomOut, resetZoom } from './zoom.js';
+import { initGauge } from './gauge.js';
+import { initYarn, updateYarnEstimate } from './yarn.js';
+import { initFloatCheck } from './floats.js';
+import { initTechnique } from './technique.js';
+import { initConstruction } from './construction.js';
+import { initMeasure, handleMeasureHover, clearMeasureReadout, handleMeasureClick, updateMeasurements, resetMeasurements } from './measure.js';
 import { initPersistence, triggerAutoSave, loadAutoSave } from './persistence.js';
 import { initUI, openSaveModal, openLoadModal, closeModal, handleConfirmSave } from './ui.js';
 import { initExport } from './export.js';
 import { initMinimap, refreshMinimap } from './minimap.js';
 import { initRowHighlight, toggleHighlightMode, prevRow, nextRow, handleRowInputChange, handleRowHighlightKeydown } from './rowHighlight.js';
 import { initJumperConfigs } from './jumperConfigs.js';
+import { initMotifs } from './motifs.js';
+import { initLayerPanel } from './layerPanel.js';
+import { filterLayerChanges, canEditActiveLayer, ensureActiveLayerEditable, captureLayerStack, resetLayers, renderLayers } from './layers.js';
+import { initMotifLibrary, updateStampPreview, clearStampPreview, stampMotif } from './motifLibrary.js';
+import { initFonts } from './fonts.js';
+import { initTextTool, handleTextClick } from './textTool.js';
 import { initCanvasManager } from './canvasManager.js';
 import { initPanelManager } from './panelManager.js';
 import { initSidebar, updateSidebarUI } from './sidebar.js';
@@ -60,12 +90,37 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.warn('Failed to load jumper configs, using fallback:', err);
     }
 
+    // Load the motif library
+    try {
+        await initMotifs();
+    } catch (err) {
+        console.warn('Failed to load motifs:', err);
+    }
+
+    // Load the pixel fonts for the text tool
+    try {
+        await initFonts();
+    } catch (err) {
+        console.warn('Failed to load fonts:', err);
+    }
+
     // DOM Elements
     const canvas = document.getElementById('canvas');
     const colorPicker = document.getElementById('colorPicker');
     const colorPixelsButton = document.getElementById('colorPixels');
     const clearPatternButton = document.getElementById('clearPattern');
-    const fillBtn = document.getElementById('fillBtn');
+    const toolControls = document.getElementById('controls');
+    const wandGlobalCheckbox = document.getElementById('wandGlobal');
+    const fillDiagonalCheckbox = document.getElementById('fillDiagonal');
+    const fillWithinSelectionCheckbox = document.getElementById('fillWithinSelection');
+    const fillGlobalCheckbox = document.getElementById('fillGlobal');
+    const cutBtn = document.getElementById('cutBtn');
+    const copyBtn = document.getElementById('copyBtn');
+    const pasteBtn = document.getElementById('pasteBtn');
+    const transformButtons = document.querySelectorAll('[data-transform]');
+    const replaceColorBtn = document.getElementById('replaceColorBtn');
+    const repeatBandBtn = document.getElementById('repeatBandBtn');
+    const textInput = document.getElementById('textInput');
     const undoBtn = document.getElementById('undoBtn');
     const redoBtn = document.getElementById('redoBtn');
     const savePatternButton = document.getElementById('savePattern');
@@ -124,15 +179,72 @@ document.addEventListener('DOMContentLoaded', async () => {
     initMinimap(minimapContainer, canvasContainer, canvasWrapper);
 
     // Initialize modules that need refreshMinimap callback (after minimap init)
-    initSymmetry(mirrorHBtn, mirrorVBtn, canvasWrapper, triggerAutoSave, refreshMinimap);
-    initFill(fillBtn, colorPicker, triggerAutoSave, refreshMinimap);
+    initSymmetry(mirrorHBtn, mirrorVBtn, canvasWrapper, triggerAutoSave, refreshMinimap, document.getElementById('symmetryMode'));
+    initFill(colorPicker, triggerAutoSave, refreshMinimap);
+    initPaint(colorPicker, triggerAutoSave, refreshMinimap);
+    initTools(toolControls);
+    initBrush(document.getElementById('brushSize'), document.querySelectorAll('[data-brush-shape]'));
+    initStitches(document.getElementById('stitchType'), triggerAutoSave);
+    initShapes(colorPicker, document.getElementById('shapeFilled'), triggerAutoSave, refreshMinimap);
+    initEyedropper(colorPicker, document.getElementById('recentColors'));
+    initClipboard(triggerAutoSave, refreshMinimap);
+    initTransform(triggerAutoSave, refreshMinimap);
+    initBand(triggerAutoSave, refreshMinimap);
+    initRecolor(triggerAutoSave, refreshMinimap);
+    initMotifLibrary({
+        colorPicker: colorPicker,
+        motifSelect: document.getElementById('motifSelect'),
+        motifPreview: document.getElementById('motifPreview'),
+        motifDescription: document.getElementById('motifDescription'),
+        useColorCheckbox: document.getElementById('motifUseColor'),
+        stampButton: document.getElementById('motifStampBtn'),
+        tileButton: document.getElementById('motifTileBtn'),
+        saveButton: document.getElementById('motifSaveBtn'),
+        deleteButton: document.getElementById('motifDeleteBtn'),
+        triggerAutoSave: triggerAutoSave,
+        refreshMinimap: refreshMinimap
+    });
+    initPatternFill({
+        tilePreview: document.getElementById('patternTilePreview'),
+        fromSelectionButton: document.getElementById('patternFromSelection'),
+        anchorSelect: document.getElementById('patternAnchor'),
+        pickOriginButton: document.getElementById('patternPickOrigin'),
+        triggerAutoSave: triggerAutoSave,
+        refreshMinimap: refreshMinimap
+    });
+    initLayerPanel({
+        layerList: document.getElementById('layerList'),
+        addButton: document.getElementById('addLayerBtn'),
+        upButton: document.getElementById('layerUpBtn'),
+        downButton: document.getElementById('layerDownBtn'),
+        mergeButton: document.getElementById('mergeLayerBtn'),
+        deleteButton: document.getElementById('deleteLayerBtn'),
+        triggerAutoSave: triggerAutoSave,
+        refreshMinimap: refreshMinimap
+    });
+    initTextTool({
+        colorPicker: colorPicker,
+        textInput: textInput,
+        fontSelect: document.getElementById('textFont')
+    });
+    initFloatingSelection({
+        controls: document.getElementById('floatingControls'),
+        placeButton: document.getElementById('placeFloatingBtn'),
+        cancelButton: document.getElementById('cancelFloatingBtn'),
+        triggerAutoSave: triggerAutoSave,
+        refreshMinimap: refreshMinimap
+    });
 
     // Initialize canvas manager for jumper switching
     initCanvasManager({
         canvas: canvas,
         refreshMinimap: refreshMinimap,
         clearHistory: clearHistory,
-        updateSymmetry: updateSymmetryLines
+        updateSymmetry: resetSymmetryCenter,
+        updateMeasurements: () => {
+            resetMeasurements();
+            updateYarnEstimate();
+        }
     });
 
     // Initialize panel manager for front/back toggle
@@ -146,43 +258,191 @@ document.addEventListener('DOMContentLoaded', async () => {
     initSidebar({
         refreshMinimap: refreshMinimap
     });
+    initMeasure({
+        canvasWrapper: canvasWrapper,
+        rulerToggle: document.getElementById('rulerToggle'),
+        unitSelect: document.getElementById('measureUnit'),
+        readout: document.getElementById('measureReadout'),
+        summary: {
+            bust: document.getElementById('measureBust'),
+            width: document.getElementById('measureWidth'),
+            ease: document.getElementById('measureEase'),
+            length: document.getElementById('measureLength')
+        }
+    });
+    initGauge({
+        stitchesInput: document.getElementById('gaugeStitches'),
+        rowsInput: document.getElementById('gaugeRows'),
+        triggerAutoSave: triggerAutoSave,
+        onGaugeChange: () => {
+            refreshMinimap();
+            updateSymmetryLines();
+            updateMeasurements();
+            updateYarnEstimate();
+        }
+    });
+    initConstruction({
+        constructionSelect: document.getElementById('constructionSelect'),
+        triggerAutoSave: triggerAutoSave
+    });
+    initYarn({
+        profileSelect: document.getElementById('yarnProfile'),
+        metresInput: document.getElementById('yarnMetres'),
+        gramsInput: document.getElementById('yarnGrams'),
+        yarnList: document.getElementById('yarnList'),
+        refreshButton: document.getElementById('yarnRefreshBtn'),
+        triggerAutoSave: triggerAutoSave
+    });
+
+    initFloatCheck({
+        checkButton: document.getElementById('floatCheckBtn'),
+        maxFloatInput: document.getElementById('maxFloat'),
+        floatSummary: document.getElementById('floatSummary'),
+        floatList: document.getElementById('floatList')
+    });
+    initTechnique({
+        techniqueSelect: document.getElementById('techniqueSelect'),
+        techniqueSummary: document.getElementById('techniqueSummary'),
+        techniqueList: document.getElementById('techniqueList'),
+        triggerAutoSave: triggerAutoSave
+    });
+
+    // Recount when the sidebar is opened so the estimate includes recent edits
+    document.getElementById('sidebarToggle').addEventListener('click', updateYarnEstimate);
 
-    // Touch handling helper
-    const handleTouch = (e) => {
+    // ===== CANVAS TOOL DISPATCH =====
+    // Shared by mouse and touch input
+
+    // Set when a press was used up (e.g. placing floating content) so the click that follows is ignored
+    let pointerConsumed = false;
+
+    const handlePointerDown = (pixel, e) => {
+        pointerConsumed = false;
+        if (!pixel.classList.contains('pixel')) return;
+
+        // Floating content is dragged by grabbing it; pressing anywhere else places it
+        if (isFloatingActive()) {
+            pointerConsumed = true;
+            if (isPixelInFloating(pixel)) {
+                startFloatingDrag(pixel);
+            } else {
+                commitFloatingSelection();
+            }
+            return;
+        }
+
+        const tool = state.activeTool;
+        if (tool === 'marquee' || tool === 'lasso') {
+            // Dragging an existing selection without modifiers moves it
+            const mode = getSelectionMode(e);
+            if (mode === 'replace' && pixel.classList.contains('selected') && canEditActiveLayer() && liftSelection()) {
+                startFloatingDrag(pixel);
+            } else {
+                startAreaSelection(pixel, tool, mode);
+            }
+            return;
+        }
+
+        if (pixel.classList.contains('non-selectable')) return;
+        // A locked or hidden layer shows a not-allowed cursor instead of being drawn on
+        if (LAYER_TOOLS.includes(tool) && !canEditActiveLayer()) return;
+
+        if (tool === 'brush' || tool === 'eraser') {
+            beginStroke(pixel, tool === 'eraser');
+        } else if (tool === 'stitch') {
+            beginStitchStroke(pixel);
+        } else if (isShapeTool(tool)) {
+            startShape(pixel);
+        } else if (tool === 'select') {
+            selectPixel(pixel);
+        }
+    };
+
+    const handlePointerMove = (pixel) => {
+        if (!pixel.classList.contains('pixel')) return;
+
+        if (isFloatingDragActive()) {
+            dragFloatingTo(pixel);
+        } else if (isAreaSelectionActive()) {
+            updateAreaSelection(pixel);
+        } else if (state.activeTool === 'brush' || state.activeTool === 'eraser') {
+            paintPixel(pixel);
+        } else if (state.activeTool === 'stitch') {
+            paintStitch(pixel);
+        } else if (isShapeTool(state.activeTool)) {
+            updateShape(pixel);
+        } else if (state.activeTool === 'select') {
+            selectPixel(pixel);
+        }
+    };
+
+    const handlePointerUp = () => {
+        endFloatingDrag();
+        finishAreaSelection();
+        endStroke();
+        endStitchStroke();
+        commitShape();
+    };
+
+    // Region options shared by the fill and pattern fill tools
+    const getFillOptions = () => ({
+        diagonal: fillDiagonalCheckbox.checked,
+        withinSelection: fillWithinSelectionCheckbox.checked,
+        global: fillGlobalCheckbox.checked
+    });
+
+    const getTouchedPixel = (e) => {
         const touch = e.touches[0];
         const element = document.elementFromPoint(touch.clientX, touch.clientY);
-        if (element && element.classList.contains('pixel')) {
-            selectPixel(element);
-            selectAdjacentPixels(element);
-        }
-        e.preventDefault();
+        return element && element.classList.contains('pixel') ? element : null;
     };
 
     // ===== EVENT LISTENERS =====
 
     // Canvas mouse events
     canvas.addEventListener('mousedown', (e) => {
-        state.isMouseDown = true;
-        state.isDragging = false;
         const pixel = e.target;
-        if (pixel.classList.contains('pixel') && !pixel.classList.contains('non-selectable')) {
-            if (!state.isFillMode) {
-                selectPixel(pixel);
+
+        // Eyedropper tool, or Alt+click with a drawing tool, samples instead of drawing
+        if (isSamplingEvent(e)) {
+            if (pixel.classList.contains('pixel')) {
+                sampleColor(pixel);
             }
+            return;
         }
+
+        state.isMouseDown = true;
+        state.isDragging = false;
+        handlePointerDown(pixel, e);
     });
 
     document.addEventListener('mouseup', () => {
         state.isMouseDown = false;
+        handlePointerUp();
         setTimeout(() => { state.isDragging = false; }, 10);
     });
 
     canvas.addEventListener('click', (e) => {
         const pixel = e.target;
+        if (isSamplingEvent(e) || pointerConsumed) return;
+        if (LAYER_TOOLS.includes(state.activeTool) && !canEditActiveLayer()) return;
         if (pixel.classList.contains('pixel')) {
-            if (state.isFillMode) {
-                handleFillClick(pixel);
-            } else if (!state.isDragging) {
+            if (state.activeTool === 'fill') {
+                handleFillClick(pixel, getFillOptions());
+            } else if (state.activeTool === 'pattern') {
+                handlePatternFillClick(pixel, getFillOptions());
+            } else if (state.activeTool === 'stamp') {
+                stampMotif(pixel);
+            } else if (state.activeTool === 'text') {
+                handleTextClick(pixel);
+            } else if (state.activeTool === 'measure') {
+                handleMeasureClick(pixel);
+            } else if (state.activeTool === 'wand') {
+                magicWandSelect(pixel, {
+                    mode: getSelectionMode(e),
+                    global: wandGlobalCheckbox.checked
+                });
+            } else if (state.activeTool === 'select' && !state.isDragging) {
                 toggleSelect(pixel);
             }
         }
@@ -190,58 +450,78 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     canvas.addEventListener('mouseover', (e) => {
         const pixel = e.target;
+        if (state.activeTool === 'stamp') {
+            updateStampPreview(pixel);
+        } else {
+            clearStampPreview();
+        }
+        handleMeasureHover(pixel);
         if (state.isMouseDown && pixel.classList.contains('pixel')) {
             state.isDragging = true;
-            selectPixel(pixel);
-            selectAdjacentPixels(pixel);
+            handlePointerMove(pixel);
         }
     });
 
+    canvas.addEventListener('mouseleave', () => {
+        clearStampPreview();
+        clearMeasureReadout();
+    });
+
     // Touch events
     canvas.addEventListener('touchstart', (e) => {
         state.touchTimeout = setTimeout(() => {
             state.isTouchActive = true;
-            handleTouch(e);
+            const pixel = getTouchedPixel(e);
+            if (pixel) {
+                if (state.activeTool === 'eyedropper') {
+                    sampleColor(pixel);
+                } else {
+                    handlePointerDown(pixel, e);
+                }
+            }
         }, 200);
     });
 
     canvas.addEventListener('touchmove', (e) => {
         if (state.isTouchActive) {
-            handleTouch(e);
+            const pixel = getTouchedPixel(e);
+            if (pixel) {
+                handlePointerMove(pixel);
+            }
+            e.preventDefault();
         }
     });
 
     canvas.addEventListener('touchend', () => {
         clearTimeout(state.touchTimeout);
         state.isTouchActive = false;
+        handlePointerUp();
     });
 
     // Color pixels button
     colorPixelsButton.addEventListener('click', () => {
+        if (!ensureActiveLayerEditable()) return;
         const selectedColor = colorPicker.value;
-        const changes = [];
+        const painted = [];
 
         requestAnimationFrame(() => {
             state.pixels.forEach(pixel => {
                 if (pixel.classList.contains('selected')) {
                     const rowIndex = parseInt(pixel.dataset.rowIndex);
                     const colIndex = parseInt(pixel.dataset.colIndex);
-                    const oldColor = pixel.style.backgroundColor || 'white';
-
-                    if (oldColor !== selectedColor) {
-                        changes.push({
-                            rowIndex,
-                            colIndex,
-                            oldColor,
-                            newColor: selectedColor
-                        });
-                    }
+                    painted.push({
+                        rowIndex,
+                        colIndex,
+                        oldColor: pixel.style.backgroundColor || 'white',
+                        newColor: selectedColor
+                    });
 
                     pixel.style.backgroundColor = selectedColor;
                     pixel.classList.remove('selected');
                 }
             });
 
+            const changes = filterLayerChanges(painted);
             pushToUndoStack({ changes });
             if (changes.length > 0) {
                 triggerAutoSave();
@@ -250,43 +530,55 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     });
 
-    // Clear pattern button
+    // Clear pattern button: replaces every layer of the panel with an empty background
+    // and turns every stitch back to knit, as one undo step
     clearPatternButton.addEventListener('click', () => {
-        const changes = [];
+        const panel = state.jumperConfig.activePanel;
+        const oldLayers = captureLayerStack(panel);
+        const oldStitches = { ...getPanelStitches(panel) };
 
         requestAnimationFrame(() => {
-            state.pixels.forEach(pixel => {
-                const oldColor = pixel.style.backgroundColor || '';
-                if (oldColor && oldColor !== 'white' && oldColor !== 'rgb(255, 255, 255)') {
-                    const rowIndex = parseInt(pixel.dataset.rowIndex);
-                    const colIndex = parseInt(pixel.dataset.colIndex);
-                    changes.push({
-                        rowIndex,
-                        colIndex,
-                        oldColor,
-                        newColor: 'white'
-                    });
-                }
-                pixel.style.backgroundColor = 'white';
-                pixel.classList.remove('selected');
+            state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+            resetLayers(panel);
+            clearPanelStitches(panel);
+            renderLayers();
+            pushToUndoStack({
+                type: 'layers',
+                panel,
+                oldLayers,
+                newLayers: captureLayerStack(panel),
+                oldStitches,
+                newStitches: {},
+                changes: []
             });
-
-            pushToUndoStack({ changes });
-            if (changes.length > 0) {
-                triggerAutoSave();
-                refreshMinimap();
-            }
+            triggerAutoSave();
+            refreshMinimap();
         });
     });
 
     // Button event listeners
     undoBtn.addEventListener('click', () => { undo(triggerAutoSave); refreshMinimap(); });
     redoBtn.addEventListener('click', () => { redo(triggerAutoSave); refreshMinimap(); });
-    fillBtn.addEventListener('click', toggleFillMode);
     mirrorHBtn.addEventListener('click', toggleMirrorH);
     mirrorVBtn.addEventListener('click', toggleMirrorV);
     reflectHBtn.addEventListener('click', reflectPatternH);
     reflectVBtn.addEventListener('click', reflectPatternV);
+    cutBtn.addEventListener('click', cutSelection);
+    copyBtn.addEventListener('click', copySelection);
+    pasteBtn.addEventListener('click', pasteClipboard);
+    replaceColorBtn.addEventListener('click', showRecolorModal);
+    repeatBandBtn.addEventListener('click', repeatSelectionAsBand);
+    transformButtons.forEach(button => {
+        button.addEventListener('click', () => transformSelection(button.dataset.transform));
+    });
+
+    textInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && isFloatingActive()) {
+            e.preventDefault();
+            commitFloatingSelection();
+            textInput.blur();
+        }
+    });
 
     // Row highlight event listeners
     highlightToggleBtn.addEventListener('click', toggleHighlightMode);
@@ -337,6 +629,22 @@ document.addEventListener('DOMContentLoaded', async () => {
                 closeModal();
                 return;
             }
+            if (isRecolorModalOpen()) {
+                hideRecolorModal();
+                return;
+            }
+            if (isShapeInProgress()) {
+                cancelShape();
+                return;
+            }
+            if (isAreaSelectionActive()) {
+                cancelAreaSelection();
+                return;
+            }
+            if (isFloatingActive()) {
+                cancelFloatingSelection();
+                return;
+            }
             const hasSelection = state.pixels.some(p => p.classList.contains('selected'));
             if (hasSelection) {
                 clearSelection();
@@ -344,6 +652,26 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+
+        if (e.key === 'Enter' && isFloatingActive() && !isTyping) {
+            e.preventDefault();
+            commitFloatingSelection();
+            return;
+        }
+
+        if ((e.ctrlKey || e.metaKey) && !isTyping && ['c', 'x', 'v'].includes(e.key)) {
+            e.preventDefault();
+            if (e.key === 'c') {
+                copySelection();
+            } else if (e.key === 'x') {
+                cutSelection();
+            } else {
+                pasteClipboard();
+            }
+            return;
+        }
+
         if (e.ctrlKey || e.metaKey) {
             if (e.key === '+' || e.key === '=') {
                 e.preventDefault();
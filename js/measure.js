@@ -0,0 +1,344 @@
+// Measure Module
+// Rulers, hover readout and the measure tool, converting stitches and rows to cm or inches
+
+import { state, getActiveConfig, getActiveDimensions } from './state.js';
+
+const CM_PER_INCH = 2.54;
+
+// Rulers get a tick every unit and a label every few units
+const RULER_LABEL_EVERY = { cm: 5, in: 2 };
+
+let canvasWrapper = null;
+let rulerToggle = null;
+let unitSelect = null;
+let readout = null;
+let summary = {};
+
+// Ruler elements currently on the canvas
+let rulers = [];
+
+/**
+ * Initialize rulers, the hover readout and the measurement summary
+ * @param {Object} options - Initialization options
+ * @param {HTMLElement} options.canvasWrapper - Element the rulers are drawn in
+ * @param {HTMLElement} options.rulerToggle - Button that shows and hides the rulers
+ * @param {HTMLSelectElement} options.unitSelect - 'cm' or 'in'
+ * @param {HTMLElement} options.readout - Where hover and measure results are shown
+ * @param {Object} options.summary - Elements for the sidebar summary: bust, width, ease, length
+ */
+export const initMeasure = (options = {}) => {
+    canvasWrapper = options.canvasWrapper;
+    rulerToggle = options.rulerToggle;
+    unitSelect = options.unitSelect;
+    readout = options.readout;
+    summary = options.summary || {};
+
+    if (rulerToggle) {
+        rulerToggle.addEventListener('click', () => setRulersVisible(!state.measure.showRulers));
+    }
+    if (unitSelect) {
+        unitSelect.value = state.measure.unit;
+        unitSelect.addEventListener('change', () => setMeasureUnit(unitSelect.value));
+    }
+
+    updateMeasurements();
+};
+
+/**
+ * Width of one stitch and height of one row in cm, from the gauge
+ * @returns {Object} { stitchWidth, rowHeight }
+ */
+export const getStitchSize = () => ({
+    stitchWidth: 10 / state.gauge.stitches,
+    rowHeight: 10 / state.gauge.rows
+});
+
+/**
+ * Format a length in cm in the chosen unit, e.g. "31.2 cm" or "12.3 in"
+ * @param {number} cm
+ * @returns {string}
+ */
+export const formatLength = (cm) => {
+    const value = state.measure.unit === 'in' ? cm / CM_PER_INCH : cm;
+    return `${value.toFixed(1)} ${state.measure.unit}`;
+};
+
+/**
+ * Get the finished bust circumference of the active size
+ * @returns {number|null} Bust in cm, or null if the config doesn't give one
+ */
+export const getBustCircumference = () => {
+    const config = getActiveConfig();
+    const inches = config?.sizes[state.jumperConfig.activeSize]?.bustCircumference;
+    return inches ? inches * CM_PER_INCH : null;
+};
+
+/**
+ * Describe where a cell sits on the finished piece
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {string} e.g. "Row 84 = 28.0 cm from hem · stitch 40 = 6.4 cm from centre"
+ */
+export const describeCellPosition = (rowIndex, colIndex) => {
+    const { maxColumns } = getActiveDimensions();
+    const { stitchWidth, rowHeight } = getStitchSize();
+    const fromCentre = Math.abs(colIndex - (maxColumns + 1) / 2) * stitchWidth;
+
+    return `Row ${rowIndex} = ${formatLength(rowIndex * rowHeight)} from hem · ` +
+        `stitch ${colIndex} = ${formatLength(fromCentre)} from centre`;
+};
+
+/**
+ * Describe the area between two cells, counting both ends
+ * @param {Object} from - { rowIndex, colIndex }
+ * @param {Object} to - { rowIndex, colIndex }
+ * @returns {string} e.g. "12 sts × 31 rows = 5.5 cm × 10.3 cm"
+ */
+export const describeDistance = (from, to) => {
+    const { stitchWidth, rowHeight } = getStitchSize();
+    const stitches = Math.abs(to.colIndex - from.colIndex) + 1;
+    const rows = Math.abs(to.rowIndex - from.rowIndex) + 1;
+
+    return `${stitches} st${stitches === 1 ? '' : 's'} × ${rows} row${rows === 1 ? '' : 's'} = ` +
+        `${formatLength(stitches * stitchWidth)} × ${formatLength(rows * rowHeight)}`;
+};
+
+const setReadout = (text) => {
+    if (readout) readout.textContent = text;
+};
+
+/**
+ * Find a cell's element, including shaped-off cells that aren't in the pixel map
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {HTMLElement|null}
+ */
+const getCellElement = (rowIndex, colIndex) =>
+    canvasWrapper.querySelector(`.pixel[data-row-index="${rowIndex}"][data-col-index="${colIndex}"]`);
+
+const getCellCoords = (pixel) => ({
+    rowIndex: parseInt(pixel.dataset.rowIndex),
+    colIndex: parseInt(pixel.dataset.colIndex)
+});
+
+const markMeasurePoint = ({ rowIndex, colIndex }) => {
+    const pixel = getCellElement(rowIndex, colIndex);
+    if (pixel) pixel.classList.add('measure-point');
+};
+
+/**
+ * Forget the measured points
+ */
+export const clearMeasurement = () => {
+    state.measure.from = null;
+    state.measure.to = null;
+    if (canvasWrapper) {
+        canvasWrapper.querySelectorAll('.measure-point').forEach(p => p.classList.remove('measure-point'));
+    }
+};
+
+/**
+ * Update the readout for the cell under the pointer
+ * With the measure tool and a first point chosen, shows the distance to it instead.
+ * @param {HTMLElement} pixel - The element under the pointer
+ */
+export const handleMeasureHover = (pixel) => {
+    if (!pixel.classList.contains('pixel')) return;
+
+    const cell = getCellCoords(pixel);
+    const { from, to } = state.measure;
+    if (state.activeTool === 'measure' && from && !to) {
+        setReadout(describeDistance(from, cell));
+    } else if (state.activeTool !== 'measure' || !to) {
+        setReadout(describeCellPosition(cell.rowIndex, cell.colIndex));
+    }
+};
+
+/**
+ * Clear the hover readout when the pointer leaves the chart, keeping a finished measurement
+ */
+export const clearMeasureReadout = () => {
+    const { from, to } = state.measure;
+    setReadout(state.activeTool === 'measure' && from && to ? describeDistance(from, to) : '');
+};
+
+/**
+ * Handle a canvas click with the measure tool
+ * The first click picks one end, the second the other; a third starts again.
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ */
+export const handleMeasureClick = (pixel) => {
+    if (!pixel.classList.contains('pixel')) return;
+
+    const cell = getCellCoords(pixel);
+    if (!state.measure.from || state.measure.to) {
+        clearMeasurement();
+        state.measure.from = cell;
+        markMeasurePoint(cell);
+        setReadout(`${describeCellPosition(cell.rowIndex, cell.colIndex)} · click a second stitch to measure`);
+    } else {
+        state.measure.to = cell;
+        markMeasurePoint(cell);
+        setReadout(describeDistance(state.measure.from, cell));
+    }
+};
+
+/**
+ * Choose centimetres or inches
+ * @param {string} unit - 'cm' or 'in'
+ */
+export const setMeasureUnit = (unit) => {
+    if (!RULER_LABEL_EVERY[unit]) return;
+    state.measure.unit = unit;
+    if (unitSelect) unitSelect.value = unit;
+    updateMeasurements();
+};
+
+/**
+ * Show or hide the rulers
+ * @param {boolean} visible
+ */
+export const setRulersVisible = (visible) => {
+    state.measure.showRulers = visible;
+    if (rulerToggle) rulerToggle.classList.toggle('active', visible);
+    updateRulers();
+};
+
+/**
+ * Get the chart's edges relative to the canvas wrapper, in unzoomed pixels
+ * @returns {Object|null} { left, right, top, bottom }
+ */
+const getChartEdges = () => {
+    const { totalRows, maxColumns } = getActiveDimensions();
+    const bottomLeft = getCellElement(1, 1);
+    const topRight = getCellElement(totalRows, maxColumns);
+    if (!bottomLeft || !topRight) return null;
+
+    const zoom = state.currentZoom || 1;
+    const wrapperRect = canvasWrapper.getBoundingClientRect();
+    const first = bottomLeft.getBoundingClientRect();
+    const last = topRight.getBoundingClientRect();
+    return {
+        left: (first.left - wrapperRect.left) / zoom,
+        right: (last.right - wrapperRect.left) / zoom,
+        top: (last.top - wrapperRect.top) / zoom,
+        bottom: (first.bottom - wrapperRect.top) / zoom
+    };
+};
+
+/**
+ * Build one ruler with a tick every unit
+ * @param {string} direction - 'h' (along the top, from the left edge) or 'v' (up the side, from the hem)
+ * @param {number} lengthPx - Length of the chart edge in pixels
+ * @param {number} lengthCm - Length of the chart edge in cm
+ * @returns {HTMLElement}
+ */
+const buildRuler = (direction, lengthPx, lengthCm) => {
+    const ruler = document.createElement('div');
+    ruler.className = `measure-ruler measure-ruler-${direction}`;
+
+    const { unit } = state.measure;
+    const unitCm = unit === 'in' ? CM_PER_INCH : 1;
+    const units = Math.floor(lengthCm / unitCm);
+
+    for (let i = 0; i <= units; i++) {
+        const offset = (i * unitCm / lengthCm) * lengthPx;
+        const tick = document.createElement('div');
+        const labelled = i % RULER_LABEL_EVERY[unit] === 0;
+        tick.className = `ruler-tick${labelled ? ' major' : ''}`;
+        if (direction === 'h') {
+            tick.style.left = `${offset}px`;
+        } else {
+            tick.style.bottom = `${offset}px`;
+        }
+        if (labelled) tick.dataset.label = i;
+        ruler.appendChild(tick);
+    }
+
+    ruler.title = `${formatLength(lengthCm)} ${direction === 'h' ? 'wide' : 'long'}`;
+    return ruler;
+};
+
+/**
+ * Redraw the rulers, with half the finished bust marked on the top ruler
+ */
+export const updateRulers = () => {
+    rulers.forEach(ruler => ruler.remove());
+    rulers = [];
+    if (!canvasWrapper || !state.measure.showRulers) return;
+
+    const edges = getChartEdges();
+    if (!edges) return;
+
+    const { totalRows, maxColumns } = getActiveDimensions();
+    const { stitchWidth, rowHeight } = getStitchSize();
+    const widthPx = edges.right - edges.left;
+    const heightPx = edges.bottom - edges.top;
+    const widthCm = maxColumns * stitchWidth;
+
+    const top = buildRuler('h', widthPx, widthCm);
+    top.style.left = `${edges.left}px`;
+    top.style.width = `${widthPx}px`;
+
+    // The front and back each make up half the bust, centred on the panel
+    const bust = getBustCircumference();
+    if (bust) {
+        const bustPx = Math.min(bust / 2 / widthCm, 1) * widthPx;
+        const mark = document.createElement('div');
+        mark.className = 'ruler-bust-mark';
+        mark.style.left = `${(widthPx - bustPx) / 2}px`;
+        mark.style.width = `${bustPx}px`;
+        mark.title = `Half the finished bust: ${formatLength(bust / 2)}`;
+        top.appendChild(mark);
+    }
+
+    const side = buildRuler('v', heightPx, totalRows * rowHeight);
+    side.style.top = `${edges.top}px`;
+    side.style.height = `${heightPx}px`;
+
+    rulers = [top, side];
+    rulers.forEach(ruler => canvasWrapper.appendChild(ruler));
+};
+
+/**
+ * Update the sidebar summary comparing the chart with the size's finished bust
+ */
+const updateSummary = () => {
+    const { totalRows, maxColumns } = getActiveDimensions();
+    const { stitchWidth, rowHeight } = getStitchSize();
+    const widthCm = maxColumns * stitchWidth;
+    const bust = getBustCircumference();
+
+    if (summary.bust) {
+        summary.bust.textContent = bust ? formatLength(bust) : 'Not given';
+    }
+    if (summary.width) {
+        summary.width.textContent = `${maxColumns} sts = ${formatLength(widthCm)}`;
+        summary.width.title = `Front and back together: ${formatLength(widthCm * 2)}`;
+    }
+    if (summary.ease) {
+        // Positive ease is room to spare around the body
+        const ease = bust ? widthCm * 2 - bust : null;
+        summary.ease.textContent = ease === null ? '–' : `${ease >= 0 ? '+' : '−'}${formatLength(Math.abs(ease))}`;
+    }
+    if (summary.length) {
+        summary.length.textContent = `${totalRows} rows = ${formatLength(totalRows * rowHeight)}`;
+    }
+};
+
+/**
+ * Redraw the rulers and summary after the gauge, size or unit changes
+ */
+export const updateMeasurements = () => {
+    updateRulers();
+    updateSummary();
+};
+
+/**
+ * Start over after the canvas is rebuilt, since the measured cells are gone
+ */
+export const resetMeasurements = () => {
+    clearMeasurement();
+    setReadout('');
+    updateMeasurements();
+};
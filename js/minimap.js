@@ -1,10 +1,8 @@
-import { TOTAL_ROWS, TOTAL_COLUMNS, ROWS_CONFIG } from './config.js';
-import { state } from './state.js';
+import { state, getActiveDimensions, getRowSpan } from './state.js';
+import { getCellHeight } from './gauge.js';
 
 // Mini-map configuration
 const MINIMAP_WIDTH = 150;
-const MINIMAP_HEIGHT = Math.round(MINIMAP_WIDTH * (TOTAL_ROWS / TOTAL_COLUMNS));
-const PIXEL_SIZE = MINIMAP_WIDTH / TOTAL_COLUMNS;
 
 // Module state
 let minimapCanvas = null;
@@ -28,7 +26,6 @@ export const initMinimap = (minimapContainer, container, wrapper) => {
     minimapCanvas = document.createElement('canvas');
     minimapCanvas.id = 'minimap-canvas';
     minimapCanvas.width = MINIMAP_WIDTH;
-    minimapCanvas.height = MINIMAP_HEIGHT;
     minimapContainer.appendChild(minimapCanvas);
 
     minimapCtx = minimapCanvas.getContext('2d');
@@ -55,23 +52,13 @@ export const initMinimap = (minimapContainer, container, wrapper) => {
 };
 
 /**
- * Check if a cell at given row/col is active (not padded)
+ * Get the size of one cell on the mini-map for the active config and gauge
+ * @returns {Object} { cellWidth, cellHeight, totalRows }
  */
-const isCellActive = (row, col) => {
-    for (const config of ROWS_CONFIG) {
-        if (row >= config.start && row <= config.end) {
-            let padding = 0;
-            if (config.step) {
-                const steps = row - config.start;
-                const columns = config.startColumns + steps * config.step;
-                padding = (TOTAL_COLUMNS - columns) / 2;
-            } else {
-                padding = config.padding || 0;
-            }
-            return col > padding && col <= TOTAL_COLUMNS - padding;
-        }
-    }
-    return false;
+const getCellLayout = () => {
+    const { totalRows, maxColumns } = getActiveDimensions();
+    const cellWidth = MINIMAP_WIDTH / maxColumns;
+    return { cellWidth, cellHeight: getCellHeight(cellWidth), totalRows };
 };
 
 /**
@@ -80,32 +67,27 @@ const isCellActive = (row, col) => {
 export const drawMinimapPattern = () => {
     if (!minimapCtx) return;
 
-    // Clear canvas
-    minimapCtx.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+    const { cellWidth, cellHeight, totalRows } = getCellLayout();
+
+    // Resizing the canvas also clears it
+    minimapCanvas.height = Math.round(totalRows * cellHeight);
 
-    // Draw background shape (the active area)
+    // Draw background shape (the active area), rows displayed from the top row down to 1
     minimapCtx.fillStyle = '#ffffff';
-    for (let row = 1; row <= TOTAL_ROWS; row++) {
-        for (let col = 1; col <= TOTAL_COLUMNS; col++) {
-            if (isCellActive(row, col)) {
-                const x = (col - 1) * PIXEL_SIZE;
-                // Rows are displayed from top (138) to bottom (1)
-                const y = (TOTAL_ROWS - row) * PIXEL_SIZE;
-                minimapCtx.fillRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
-            }
+    for (let row = 1; row <= totalRows; row++) {
+        const { start, end } = getRowSpan(row);
+        for (let col = start; col <= end; col++) {
+            minimapCtx.fillRect((col - 1) * cellWidth, (totalRows - row) * cellHeight, cellWidth, cellHeight);
         }
     }
 
     // Draw outline for the shape
     minimapCtx.strokeStyle = '#cccccc';
     minimapCtx.lineWidth = 0.5;
-    for (let row = 1; row <= TOTAL_ROWS; row++) {
-        for (let col = 1; col <= TOTAL_COLUMNS; col++) {
-            if (isCellActive(row, col)) {
-                const x = (col - 1) * PIXEL_SIZE;
-                const y = (TOTAL_ROWS - row) * PIXEL_SIZE;
-                minimapCtx.strokeRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
-            }
+    for (let row = 1; row <= totalRows; row++) {
+        const { start, end } = getRowSpan(row);
+        for (let col = start; col <= end; col++) {
+            minimapCtx.strokeRect((col - 1) * cellWidth, (totalRows - row) * cellHeight, cellWidth, cellHeight);
         }
     }
 
@@ -116,13 +98,12 @@ export const drawMinimapPattern = () => {
             const row = parseInt(pixel.dataset.rowIndex);
             const col = parseInt(pixel.dataset.colIndex);
 
-            const x = (col - 1) * PIXEL_SIZE;
-            const y = (TOTAL_ROWS - row) * PIXEL_SIZE;
-
             minimapCtx.fillStyle = bgColor;
-            minimapCtx.fillRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+            minimapCtx.fillRect((col - 1) * cellWidth, (totalRows - row) * cellHeight, cellWidth, cellHeight);
         }
     });
+
+    updateViewportIndicator();
 };
 
 /**
@@ -145,14 +126,15 @@ export const updateViewportIndicator = () => {
     const visibleHeight = containerRect.height;
 
     // Calculate scale factors (mini-map to actual canvas)
+    const minimapHeight = minimapCanvas.height;
     const scaleX = MINIMAP_WIDTH / fullWidth;
-    const scaleY = MINIMAP_HEIGHT / fullHeight;
+    const scaleY = minimapHeight / fullHeight;
 
     // Calculate viewport indicator position and size
     const vpLeft = scrollLeft * scaleX;
     const vpTop = scrollTop * scaleY;
     const vpWidth = Math.min(visibleWidth * scaleX, MINIMAP_WIDTH - vpLeft);
-    const vpHeight = Math.min(visibleHeight * scaleY, MINIMAP_HEIGHT - vpTop);
+    const vpHeight = Math.min(visibleHeight * scaleY, minimapHeight - vpTop);
 
     // Apply styles to viewport indicator
     viewportIndicator.style.left = `${vpLeft}px`;
@@ -179,7 +161,7 @@ const navigateToPosition = (e, smooth = false) => {
 
     // Calculate scale factors
     const scaleX = fullWidth / MINIMAP_WIDTH;
-    const scaleY = fullHeight / MINIMAP_HEIGHT;
+    const scaleY = fullHeight / minimapCanvas.height;
 
     // Calculate target scroll position (center the view on click point)
     const containerRect = canvasContainer.getBoundingClientRect();
@@ -257,20 +239,21 @@ const observeZoomChanges = () => {
 export const updateMinimapPixel = (row, col, color) => {
     if (!minimapCtx) return;
 
-    const x = (col - 1) * PIXEL_SIZE;
-    const y = (TOTAL_ROWS - row) * PIXEL_SIZE;
+    const { cellWidth, cellHeight, totalRows } = getCellLayout();
+    const x = (col - 1) * cellWidth;
+    const y = (totalRows - row) * cellHeight;
 
     if (color === 'white' || color === 'rgb(255, 255, 255)' || color === '') {
         // Clear and redraw white
         minimapCtx.fillStyle = '#ffffff';
-        minimapCtx.fillRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+        minimapCtx.fillRect(x, y, cellWidth, cellHeight);
         // Redraw border
         minimapCtx.strokeStyle = '#cccccc';
         minimapCtx.lineWidth = 0.5;
-        minimapCtx.strokeRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+        minimapCtx.strokeRect(x, y, cellWidth, cellHeight);
     } else {
         minimapCtx.fillStyle = color;
-        minimapCtx.fillRect(x, y, PIXEL_SIZE, PIXEL_SIZE);
+        minimapCtx.fillRect(x, y, cellWidth, cellHeight);
     }
 };
 
@@ -0,0 +1,233 @@
+// Motif Library Module
+// Sidebar panel for browsing motifs and the stamp tool that places them
+
+import { state, getPixelKey, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { getMirroredPixels } from './symmetry.js';
+import { setPixelPreview, clearPixelPreview, drawBlockThumbnail } from './canvas.js';
+import { captureSelection } from './clipboard.js';
+import { filterLayerChanges } from './layers.js';
+import { setActiveTool } from './tools.js';
+import { setPatternTile } from './patternFill.js';
+import { getMotifs, getMotifById, motifToBlock, saveUserMotif, deleteUserMotif, USER_MOTIF_CATEGORY } from './motifs.js';
+
+let colorPicker;
+let motifSelect = null;
+let motifPreview = null;
+let motifDescription = null;
+let useColorCheckbox = null;
+let deleteButton = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+// Pixels currently showing the stamp preview
+let previewPixels = [];
+
+/**
+ * Initialize the motif library panel
+ * @param {Object} options - Initialization options
+ * @param {HTMLInputElement} options.colorPicker - The colour picker input
+ * @param {HTMLSelectElement} options.motifSelect - Motif dropdown
+ * @param {HTMLCanvasElement} options.motifPreview - Thumbnail of the chosen motif
+ * @param {HTMLElement} options.motifDescription - Description of the chosen motif
+ * @param {HTMLInputElement} options.useColorCheckbox - Stamp in the current colour instead of the motif's
+ * @param {HTMLElement} options.stampButton - Button that activates the stamp tool
+ * @param {HTMLElement} options.tileButton - Button that makes the motif the pattern fill tile
+ * @param {HTMLElement} options.saveButton - Button that saves the selection as a motif
+ * @param {HTMLElement} options.deleteButton - Button that deletes a user motif
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ * @param {Function} options.refreshMinimap - Callback to refresh minimap
+ */
+export const initMotifLibrary = (options = {}) => {
+    colorPicker = options.colorPicker;
+    motifSelect = options.motifSelect;
+    motifPreview = options.motifPreview;
+    motifDescription = options.motifDescription;
+    useColorCheckbox = options.useColorCheckbox;
+    deleteButton = options.deleteButton;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+    refreshMinimapCallback = options.refreshMinimap;
+
+    if (!motifSelect) return;
+
+    motifSelect.addEventListener('change', () => setActiveMotif(motifSelect.value));
+
+    if (options.stampButton) {
+        options.stampButton.addEventListener('click', () => setActiveTool('stamp'));
+    }
+    if (options.tileButton) {
+        options.tileButton.addEventListener('click', () => {
+            const block = getActiveMotifBlock();
+            if (block) setPatternTile(block);
+        });
+    }
+    if (options.saveButton) {
+        options.saveButton.addEventListener('click', handleSaveMotif);
+    }
+    if (deleteButton) {
+        deleteButton.addEventListener('click', handleDeleteMotif);
+    }
+
+    const firstMotif = getMotifs()[0];
+    populateMotifs();
+    setActiveMotif(state.motifLibrary.activeMotifId || (firstMotif ? firstMotif.id : null));
+};
+
+/**
+ * Populate the motif dropdown, grouped by category
+ */
+const populateMotifs = () => {
+    motifSelect.innerHTML = '';
+
+    const groups = new Map();
+    getMotifs().forEach(motif => {
+        const category = motif.category || USER_MOTIF_CATEGORY;
+        if (!groups.has(category)) {
+            const group = document.createElement('optgroup');
+            group.label = category;
+            groups.set(category, group);
+            motifSelect.appendChild(group);
+        }
+
+        const option = document.createElement('option');
+        option.value = motif.id;
+        option.textContent = motif.name;
+        groups.get(category).appendChild(option);
+    });
+};
+
+/**
+ * Choose the motif used by the stamp tool
+ * @param {string|null} motifId
+ */
+export const setActiveMotif = (motifId) => {
+    const motif = motifId ? getMotifById(motifId) : null;
+    state.motifLibrary.activeMotifId = motif ? motif.id : null;
+
+    if (motifSelect && motif) motifSelect.value = motif.id;
+    if (motifPreview) drawBlockThumbnail(motifPreview, motif ? motifToBlock(motif) : null, 60);
+    if (motifDescription) motifDescription.textContent = motif ? motif.description || '' : 'No motifs available';
+    if (deleteButton) deleteButton.disabled = !motif || !motif.isCustom;
+};
+
+/**
+ * Get the active motif as a block, recoloured when "use current colour" is ticked
+ * @returns {Object|null} { width, height, cells } or null if no motif is chosen
+ */
+const getActiveMotifBlock = () => {
+    const motif = getMotifById(state.motifLibrary.activeMotifId);
+    if (!motif) return null;
+
+    const block = motifToBlock(motif);
+    if (useColorCheckbox && useColorCheckbox.checked && colorPicker) {
+        block.cells.forEach(cell => { cell.color = colorPicker.value; });
+    }
+    return block;
+};
+
+/**
+ * Get the pixels a stamp centred on a cell would colour
+ * Cells outside the active shaping are clipped; mirror modes repeat the stamp.
+ * @param {number} rowIndex - Row under the pointer
+ * @param {number} colIndex - Column under the pointer
+ * @returns {Array} Array of { pixel, rowIndex, colIndex, color }
+ */
+const getStampPixels = (rowIndex, colIndex) => {
+    const block = getActiveMotifBlock();
+    if (!block) return [];
+
+    const baseRow = rowIndex - Math.floor(block.height / 2);
+    const baseCol = colIndex - Math.floor(block.width / 2);
+    const pixels = new Map();
+
+    block.cells.forEach(({ dRow, dCol, color }) => {
+        const row = baseRow + dRow;
+        const col = baseCol + dCol;
+        // Only active pixels are in the pixel map, so shaped-off cells are skipped
+        if (!getPixelByCoords(row, col)) return;
+        getMirroredPixels(row, col).forEach(entry => {
+            pixels.set(getPixelKey(entry.rowIndex, entry.colIndex), { ...entry, color });
+        });
+    });
+
+    return Array.from(pixels.values());
+};
+
+export const clearStampPreview = () => {
+    previewPixels.forEach(pixel => clearPixelPreview(pixel));
+    previewPixels = [];
+};
+
+/**
+ * Preview the stamp centred on the pixel under the pointer
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const updateStampPreview = (pixel) => {
+    clearStampPreview();
+    if (!pixel.classList.contains('pixel')) return;
+
+    getStampPixels(parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex))
+        .forEach(({ pixel: p, color }) => {
+            setPixelPreview(p, color);
+            previewPixels.push(p);
+        });
+};
+
+/**
+ * Stamp the active motif centred on a pixel as a single undo operation
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ */
+export const stampMotif = (pixel) => {
+    if (!pixel.classList.contains('pixel')) return;
+
+    if (!state.motifLibrary.activeMotifId) {
+        alert('Choose a motif in the library first.');
+        return;
+    }
+
+    clearStampPreview();
+    const changes = filterLayerChanges(getStampPixels(parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex))
+        .map(({ pixel: p, rowIndex, colIndex, color }) => {
+            const oldColor = p.style.backgroundColor || 'white';
+            p.style.backgroundColor = color;
+            return { rowIndex, colIndex, oldColor, newColor: color };
+        }));
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
+
+const handleSaveMotif = () => {
+    const block = captureSelection();
+    if (!block) {
+        alert('Select the pixels to save as a motif first.');
+        return;
+    }
+
+    const name = prompt('Motif name:');
+    if (!name || !name.trim()) return;
+
+    const motifId = saveUserMotif(name.trim(), block);
+    if (!motifId) {
+        alert('The selection has no coloured pixels to save.');
+        return;
+    }
+
+    populateMotifs();
+    setActiveMotif(motifId);
+};
+
+const handleDeleteMotif = () => {
+    const motif = getMotifById(state.motifLibrary.activeMotifId);
+    if (!motif || !motif.isCustom) return;
+
+    if (!confirm(`Are you sure you want to delete "${motif.name}"?`)) return;
+
+    deleteUserMotif(motif.id);
+    populateMotifs();
+    const firstMotif = getMotifs()[0];
+    setActiveMotif(firstMotif ? firstMotif.id : null);
+};
@@ -0,0 +1,235 @@
+// Motif Management Module
+// Loads the built-in motif library and stores user motifs
+
+import { USER_MOTIFS_KEY } from './config.js';
+import { state } from './state.js';
+import { normalizeColor } from './fill.js';
+import { rgbToHex } from './export.js';
+
+// Built-in motif file names
+const BUILT_IN_MOTIFS = [
+    'selbu-star',
+    'snowflake-small',
+    'heart',
+    'fir-tree',
+    'peerie-diamonds',
+    'peerie-flower',
+    'lice',
+    'border-zigzag',
+    'border-sawtooth'
+];
+
+// Cells marked with this character are left as they are when a motif is placed
+const EMPTY_CELL = '.';
+
+export const USER_MOTIF_CATEGORY = 'My Motifs';
+
+/**
+ * Initialize motifs - load built-in and user motifs
+ * @returns {Promise<void>}
+ */
+export const initMotifs = async () => {
+    await loadBuiltInMotifs();
+    loadUserMotifsFromStorage();
+};
+
+/**
+ * Load all built-in motif files
+ * @returns {Promise<void>}
+ */
+const loadBuiltInMotifs = async () => {
+    const loadPromises = BUILT_IN_MOTIFS.map(async (motifId) => {
+        try {
+            const response = await fetch(`./motifs/${motifId}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const motif = await response.json();
+
+            const validation = validateMotif(motif);
+            if (!validation.valid) {
+                console.warn(`Motif ${motifId} validation errors:`, validation.errors);
+                return;
+            }
+
+            return motif;
+        } catch (err) {
+            console.error(`Failed to load built-in motif ${motifId}:`, err);
+        }
+    });
+
+    // Keep the order of BUILT_IN_MOTIFS regardless of which file loads first
+    const motifs = await Promise.all(loadPromises);
+    motifs.filter(Boolean).forEach(motif => {
+        state.motifLibrary.motifs.set(motif.id, { ...motif, isCustom: false });
+    });
+};
+
+/**
+ * Validate a motif definition
+ * Motifs are drawn as strings of palette characters, top row first.
+ * @param {Object} motif - The motif to validate
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export const validateMotif = (motif) => {
+    const errors = [];
+
+    if (!motif.id) errors.push('Missing id');
+    if (!motif.name) errors.push('Missing name');
+    if (!motif.palette || typeof motif.palette !== 'object') errors.push('Missing palette');
+    if (!Array.isArray(motif.rows) || motif.rows.length === 0) {
+        errors.push('Missing rows');
+    } else {
+        const width = motif.rows[0].length;
+        motif.rows.forEach((row, index) => {
+            if (row.length !== width) {
+                errors.push(`Row ${index + 1} is ${row.length} cells wide, expected ${width}`);
+            }
+            if (motif.palette) {
+                [...row].forEach(char => {
+                    if (char !== EMPTY_CELL && !motif.palette[char]) {
+                        errors.push(`Row ${index + 1} uses "${char}", which is not in the palette`);
+                    }
+                });
+            }
+        });
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Convert a motif definition to a block of cells
+ * @param {Object} motif - Motif definition
+ * @returns {Object} { width, height, cells: [{ dRow, dCol, color }] } with rows counting up from the bottom
+ */
+export const motifToBlock = (motif) => {
+    const height = motif.rows.length;
+    const width = motif.rows[0].length;
+    const cells = [];
+
+    motif.rows.forEach((row, index) => {
+        [...row].forEach((char, dCol) => {
+            if (char === EMPTY_CELL) return;
+            cells.push({ dRow: height - 1 - index, dCol, color: motif.palette[char] });
+        });
+    });
+
+    return { width, height, cells };
+};
+
+/**
+ * Convert a block of cells to a motif definition
+ * White cells are treated as background and left empty.
+ * @param {Object} block - { width, height, cells: [{ dRow, dCol, color }] }
+ * @returns {Object} { palette, rows }
+ */
+export const blockToMotif = (block) => {
+    const grid = Array.from({ length: block.height }, () => Array(block.width).fill(EMPTY_CELL));
+    const palette = {};
+    const charByColor = new Map();
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    block.cells.forEach(({ dRow, dCol, color }) => {
+        const hex = rgbToHex(normalizeColor(color)).toLowerCase();
+        if (hex === '#ffffff') return;
+
+        if (!charByColor.has(hex)) {
+            const char = chars[charByColor.size] || String.fromCharCode(0x100 + charByColor.size);
+            charByColor.set(hex, char);
+            palette[char] = hex;
+        }
+        grid[block.height - 1 - dRow][dCol] = charByColor.get(hex);
+    });
+
+    return { palette, rows: grid.map(row => row.join('')) };
+};
+
+/**
+ * Get all motifs, built-in first
+ * @returns {Array} Array of motif definitions
+ */
+export const getMotifs = () => Array.from(state.motifLibrary.motifs.values());
+
+/**
+ * Get a motif by ID
+ * @param {string} motifId
+ * @returns {Object|null}
+ */
+export const getMotifById = (motifId) => state.motifLibrary.motifs.get(motifId) || null;
+
+/**
+ * Load user motifs from localStorage
+ */
+const loadUserMotifsFromStorage = () => {
+    try {
+        const stored = localStorage.getItem(USER_MOTIFS_KEY);
+        if (stored) {
+            const motifs = JSON.parse(stored);
+            motifs.forEach(motif => {
+                if (validateMotif(motif).valid) {
+                    state.motifLibrary.motifs.set(motif.id, { ...motif, isCustom: true });
+                }
+            });
+        }
+    } catch (err) {
+        console.error('Failed to load user motifs from storage:', err);
+    }
+};
+
+/**
+ * Save user motifs to localStorage
+ */
+const saveUserMotifsToStorage = () => {
+    try {
+        const motifs = getMotifs()
+            .filter(motif => motif.isCustom)
+            .map(({ isCustom, ...motif }) => motif);
+        localStorage.setItem(USER_MOTIFS_KEY, JSON.stringify(motifs));
+    } catch (err) {
+        console.error('Failed to save user motifs to storage:', err);
+    }
+};
+
+/**
+ * Save a block of cells as a user motif
+ * @param {string} name - Display name
+ * @param {Object} block - { width, height, cells }
+ * @returns {string|null} The new motif's ID, or null if the block has no coloured cells
+ */
+export const saveUserMotif = (name, block) => {
+    const { palette, rows } = blockToMotif(block);
+    if (Object.keys(palette).length === 0) return null;
+
+    const motif = {
+        id: `user-${Date.now()}`,
+        name,
+        category: USER_MOTIF_CATEGORY,
+        version: '1.0.0',
+        description: `${block.width} × ${block.height}`,
+        palette,
+        rows,
+        isCustom: true
+    };
+
+    state.motifLibrary.motifs.set(motif.id, motif);
+    saveUserMotifsToStorage();
+    return motif.id;
+};
+
+/**
+ * Delete a user motif
+ * @param {string} motifId
+ * @returns {boolean} True if deleted
+ */
+export const deleteUserMotif = (motifId) => {
+    const motif = getMotifById(motifId);
+    if (!motif || !motif.isCustom) return false;
+
+    state.motifLibrary.motifs.delete(motifId);
+    saveUserMotifsToStorage();
+    return true;
+};
@@ -0,0 +1,76 @@
+// Paint Module
+// Brush and eraser tools that change pixels directly while dragging
+
+import { getPixelKey } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { getBrushPixels } from './brush.js';
+import { filterLayerChanges } from './layers.js';
+
+let colorPicker;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+// Changes made during the current stroke, keyed by pixel so each cell is recorded once
+let strokeChanges = null;
+// The stroke erases the active layer instead of painting it
+let strokeErases = false;
+
+export const initPaint = (colorPickerElement, autoSaveCallback, minimapCallback = null) => {
+    colorPicker = colorPickerElement;
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+};
+
+export const isStrokeActive = () => strokeChanges !== null;
+
+/**
+ * Start a new brush stroke at the given pixel
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ * @param {boolean} erase - Clear the active layer's cells so the layers below show through
+ */
+export const beginStroke = (pixel, erase = false) => {
+    strokeChanges = new Map();
+    strokeErases = erase;
+    paintPixel(pixel);
+};
+
+/**
+ * Paint the brush footprint (and its mirrored counterparts) as part of the current stroke
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const paintPixel = (pixel) => {
+    if (!strokeChanges) return;
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
+
+    const color = strokeErases ? null : (colorPicker ? colorPicker.value : '#000000');
+    const rowIndex = parseInt(pixel.dataset.rowIndex);
+    const colIndex = parseInt(pixel.dataset.colIndex);
+
+    getBrushPixels(rowIndex, colIndex).forEach(({ pixel: p, rowIndex: r, colIndex: c }) => {
+        const key = getPixelKey(r, c);
+        const existing = strokeChanges.get(key);
+        // Keep the colour from before the stroke so undo restores it
+        const oldColor = existing ? existing.oldColor : (p.style.backgroundColor || 'white');
+
+        // Erased cells show white until the stroke ends and the layers below are redrawn
+        p.style.backgroundColor = color || 'white';
+        strokeChanges.set(key, { rowIndex: r, colIndex: c, oldColor, newColor: color });
+    });
+};
+
+/**
+ * Finish the current stroke and record it as a single undo operation
+ */
+export const endStroke = () => {
+    if (!strokeChanges) return;
+
+    // Drop cells the active layer already had in the stroke's colour
+    const changes = filterLayerChanges(Array.from(strokeChanges.values()));
+    strokeChanges = null;
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
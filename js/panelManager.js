@@ -2,7 +2,10 @@
 // Handles front/back panel switching and design synchronization
 
 import { state, getActiveDimensions } from './state.js';
-import { captureCanvasDesign, applyDesignToCanvas } from './canvas.js';
+import { captureCanvasDesign } from './canvas.js';
+import { commitFloatingSelection, cancelFloatingSelection } from './floatingSelection.js';
+import { renderLayers, resetLayers, copyLayers, transformLayerCells, flattenLayers } from './layers.js';
+import { copyPanelStitches, clearPanelStitches } from './stitches.js';
 
 // Module references
 let refreshMinimapCallback = null;
@@ -40,20 +43,19 @@ export const saveCurrentPanelToState = () => {
 };
 
 /**
- * Load a panel's design from state.design onto the canvas
- * @param {string} panel - 'front' or 'back'
+ * Load a panel's layers onto the canvas
+ * @param {string} panel - 'front' or 'back' (must be the active panel)
  */
 export const loadPanelToCanvas = (panel) => {
-    const panelDesign = state.design[panel] || {};
+    // Drop any floating content so its preview doesn't carry over
+    cancelFloatingSelection();
 
-    // Clear all pixels first
-    state.pixels.forEach(pixel => {
-        pixel.style.backgroundColor = 'white';
-        pixel.classList.remove('selected');
-    });
+    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
 
-    // Apply panel design
-    applyDesignToCanvas(panelDesign);
+    // Draw the panel's layers
+    if (panel === state.jumperConfig.activePanel) {
+        renderLayers();
+    }
 };
 
 /**
@@ -71,7 +73,8 @@ export const switchPanel = (targetPanel) => {
         return false; // Already on this panel
     }
 
-    // Save current panel design
+    // Place any floating content, then save current panel design
+    commitFloatingSelection();
     saveCurrentPanelToState();
 
     // Switch active panel
@@ -120,24 +123,27 @@ export const copyPanelDesign = (sourcePanel, targetPanel, mode = 'copy') => {
         saveCurrentPanelToState();
     }
 
-    const sourceDesign = state.design[sourcePanel] || {};
+    // Layers are copied one by one so the target panel keeps them separate
+    copyLayers(sourcePanel, targetPanel);
 
-    if (mode === 'copy') {
-        // Direct copy
-        state.design[targetPanel] = { ...sourceDesign };
-    } else if (mode === 'mirror') {
+    if (mode === 'mirror') {
         // Horizontal mirror (flip left-right)
         const { maxColumns } = getActiveDimensions();
-        const mirroredDesign = {};
+        transformLayerCells(targetPanel, (cells) => {
+            const mirroredCells = {};
+            for (const [key, color] of Object.entries(cells)) {
+                const [row, col] = key.split('-').map(Number);
+                const mirroredCol = maxColumns - col + 1;
+                mirroredCells[`${row}-${mirroredCol}`] = color;
+            }
+            return mirroredCells;
+        });
+    }
 
-        for (const [key, color] of Object.entries(sourceDesign)) {
-            const [row, col] = key.split('-').map(Number);
-            const mirroredCol = maxColumns - col + 1;
-            mirroredDesign[`${row}-${mirroredCol}`] = color;
-        }
+    state.design[targetPanel] = flattenLayers(targetPanel);
 
-        state.design[targetPanel] = mirroredDesign;
-    }
+    // Stitches follow the colours; mirrored decreases lean the other way
+    copyPanelStitches(sourcePanel, targetPanel, mode === 'mirror', getActiveDimensions().maxColumns);
 
     state.design.metadata.modifiedAt = new Date().toISOString();
 
@@ -193,14 +199,14 @@ export const getDesignStats = () => {
  */
 export const clearPanelDesign = (panel) => {
     state.design[panel] = {};
+    resetLayers(panel);
+    clearPanelStitches(panel);
     state.design.metadata.modifiedAt = new Date().toISOString();
 
     // If clearing the current panel, also clear the canvas
     if (panel === state.jumperConfig.activePanel) {
-        state.pixels.forEach(pixel => {
-            pixel.style.backgroundColor = 'white';
-            pixel.classList.remove('selected');
-        });
+        state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+        renderLayers();
 
         if (refreshMinimapCallback) {
             refreshMinimapCallback();
@@ -214,13 +220,15 @@ export const clearPanelDesign = (panel) => {
 export const clearAllPanelDesigns = () => {
     state.design.front = {};
     state.design.back = {};
+    resetLayers('front');
+    resetLayers('back');
+    clearPanelStitches('front');
+    clearPanelStitches('back');
     state.design.metadata.modifiedAt = new Date().toISOString();
 
     // Clear current canvas
-    state.pixels.forEach(pixel => {
-        pixel.style.backgroundColor = 'white';
-        pixel.classList.remove('selected');
-    });
+    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+    renderLayers();
 
     if (refreshMinimapCallback) {
         refreshMinimapCallback();
@@ -0,0 +1,228 @@
+// Pattern Fill Module
+// Floods a region with a repeating motif tile anchored to the panel centre or a chosen origin
+
+import { PATTERN_TILE_KEY } from './config.js';
+import { state, getActiveDimensions, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { getFillRegion } from './fill.js';
+import { captureSelection } from './clipboard.js';
+import { drawBlockThumbnail } from './canvas.js';
+import { filterLayerChanges, canEditActiveLayer } from './layers.js';
+
+let tilePreview = null;
+let anchorSelect = null;
+let pickOriginButton = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+// Set while the next canvas click should choose the origin instead of filling
+let pickingOrigin = false;
+let originPixel = null;
+
+// Tile colours keyed by "dRow,dCol" for quick lookup
+let tileLookup = new Map();
+
+/**
+ * Initialize pattern fill
+ * @param {Object} options - Initialization options
+ * @param {HTMLCanvasElement} options.tilePreview - Canvas showing the current tile
+ * @param {HTMLElement} options.fromSelectionButton - Button that makes the selection the tile
+ * @param {HTMLSelectElement} options.anchorSelect - 'center' or 'origin'
+ * @param {HTMLElement} options.pickOriginButton - Button that starts picking the origin
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ * @param {Function} options.refreshMinimap - Callback to refresh minimap
+ */
+export const initPatternFill = (options = {}) => {
+    tilePreview = options.tilePreview;
+    anchorSelect = options.anchorSelect;
+    pickOriginButton = options.pickOriginButton;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+    refreshMinimapCallback = options.refreshMinimap;
+
+    try {
+        const stored = localStorage.getItem(PATTERN_TILE_KEY);
+        if (stored) {
+            setPatternTile(JSON.parse(stored), false);
+        }
+    } catch (e) {
+        console.error('Error reading pattern tile from localStorage:', e);
+    }
+
+    if (options.fromSelectionButton) {
+        options.fromSelectionButton.addEventListener('click', () => {
+            const block = captureSelection();
+            if (!block) {
+                alert('Select the pixels to repeat first.');
+                return;
+            }
+            setPatternTile(block);
+        });
+    }
+
+    if (anchorSelect) {
+        anchorSelect.value = state.patternFill.anchor;
+        anchorSelect.addEventListener('change', () => setPatternAnchor(anchorSelect.value));
+    }
+
+    if (pickOriginButton) {
+        pickOriginButton.addEventListener('click', () => {
+            pickingOrigin = !pickingOrigin;
+            pickOriginButton.classList.toggle('active', pickingOrigin);
+        });
+    }
+
+    renderTilePreview();
+};
+
+/**
+ * Set the repeat tile
+ * @param {Object} block - { width, height, cells: [{ dRow, dCol, color }] } (row/col are ignored)
+ * @param {boolean} persist - Remember the tile for the next session
+ */
+export const setPatternTile = (block, persist = true) => {
+    const tile = {
+        width: block.width,
+        height: block.height,
+        cells: block.cells.map(({ dRow, dCol, color }) => ({ dRow, dCol, color }))
+    };
+    state.patternFill.tile = tile;
+    tileLookup = new Map(tile.cells.map(({ dRow, dCol, color }) => [`${dRow},${dCol}`, color]));
+
+    if (persist) {
+        try {
+            localStorage.setItem(PATTERN_TILE_KEY, JSON.stringify(tile));
+        } catch (e) {
+            console.error('Error saving pattern tile:', e);
+        }
+    }
+
+    renderTilePreview();
+};
+
+export const getPatternTile = () => state.patternFill.tile;
+
+/**
+ * Choose how the repeat is anchored
+ * @param {string} anchor - 'center' or 'origin'
+ */
+export const setPatternAnchor = (anchor) => {
+    state.patternFill.anchor = anchor;
+    if (anchorSelect) anchorSelect.value = anchor;
+    if (anchor === 'origin' && !state.patternFill.origin) {
+        pickingOrigin = true;
+        if (pickOriginButton) pickOriginButton.classList.add('active');
+    }
+    updateOriginMarker();
+};
+
+/**
+ * Set the origin the repeat is anchored to (bottom-left corner of one tile)
+ * @param {number} row
+ * @param {number} col
+ */
+export const setPatternOrigin = (row, col) => {
+    state.patternFill.origin = { row, col };
+    pickingOrigin = false;
+    if (pickOriginButton) pickOriginButton.classList.remove('active');
+    setPatternAnchor('origin');
+};
+
+const updateOriginMarker = () => {
+    if (originPixel) {
+        originPixel.classList.remove('pattern-origin');
+        originPixel = null;
+    }
+
+    const { anchor, origin } = state.patternFill;
+    if (anchor === 'origin' && origin) {
+        originPixel = getPixelByCoords(origin.row, origin.col) || null;
+        if (originPixel) originPixel.classList.add('pattern-origin');
+    }
+};
+
+/**
+ * Get the cell where a tile's bottom-left corner sits
+ * Centre anchoring puts the middle of a tile on the panel's centre cell, so the
+ * repeat lines up across the front and back.
+ * @returns {Object} { row, col }
+ */
+export const getPatternAnchor = () => {
+    const { tile, anchor, origin } = state.patternFill;
+    if (anchor === 'origin' && origin) {
+        return origin;
+    }
+    const { centerRow, centerColumn } = getActiveDimensions();
+    return {
+        row: centerRow - Math.floor(tile.height / 2),
+        col: centerColumn - Math.floor(tile.width / 2)
+    };
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+/**
+ * Get the tile colour that lands on a cell
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @param {Object} anchor - Result of getPatternAnchor
+ * @returns {string|undefined} The colour, or undefined where the tile has no cell
+ */
+export const getTileColorAt = (rowIndex, colIndex, anchor = getPatternAnchor()) => {
+    const { tile } = state.patternFill;
+    if (!tile) return undefined;
+    const dRow = mod(rowIndex - anchor.row, tile.height);
+    const dCol = mod(colIndex - anchor.col, tile.width);
+    return tileLookup.get(`${dRow},${dCol}`);
+};
+
+const renderTilePreview = () => {
+    if (!tilePreview) return;
+    const { tile } = state.patternFill;
+
+    drawBlockThumbnail(tilePreview, tile);
+    tilePreview.title = tile
+        ? `Repeat tile: ${tile.width} × ${tile.height}`
+        : 'No repeat tile yet: select some pixels and click "Tile from selection"';
+};
+
+/**
+ * Handle a canvas click with the pattern tool: pick the origin or fill the region
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ * @param {Object} options - Region options passed to findColorRegion
+ */
+export const handlePatternFillClick = (pixel, options = {}) => {
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
+
+    if (pickingOrigin) {
+        setPatternOrigin(parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex));
+        return;
+    }
+
+    // Like the other drawing tools, filling does nothing while the layer is locked or hidden
+    if (!canEditActiveLayer()) return;
+
+    if (!state.patternFill.tile) {
+        alert('Make a repeat tile first: select some pixels and click "Tile from selection", or use a motif from the library.');
+        return;
+    }
+
+    const anchor = getPatternAnchor();
+    const painted = [];
+
+    getFillRegion(pixel, options).forEach(({ pixel: p, rowIndex, colIndex }) => {
+        // Cells missing from a lasso-shaped tile are left alone; empty ones clear the layer
+        const newColor = getTileColorAt(rowIndex, colIndex, anchor);
+        if (newColor === undefined) return;
+
+        const oldColor = p.style.backgroundColor || 'white';
+        p.style.backgroundColor = newColor || 'white';
+        painted.push({ rowIndex, colIndex, oldColor, newColor });
+    });
+    const changes = filterLayerChanges(painted);
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
@@ -3,9 +3,16 @@ import { state, getActiveConfig } from './state.js';
 import { clearHistory } from './history.js';
 import { captureCanvasDesign, applyDesignToCanvas } from './canvas.js';
 import { saveCurrentPanelToState, loadPanelToCanvas } from './panelManager.js';
+import { serializeLayers, loadLayers, resetLayers, renderLayers } from './layers.js';
+import { setGauge } from './gauge.js';
+import { setYarn } from './yarn.js';
+import { setTechnique } from './technique.js';
+import { setConstruction } from './construction.js';
+import { loadStitches, clearPanelStitches } from './stitches.js';
 
-// Save format version
-const SAVE_FORMAT_VERSION = 2;
+// Save format version (3 added layers, 4 added gauge, 5 added yarn, 6 added technique, 7 added stitches,
+// 8 added construction)
+const SAVE_FORMAT_VERSION = 8;
 
 let autoSaveIndicator = null;
 let refreshMinimapCallback = null;
@@ -35,7 +42,8 @@ export const getPatternData = () => {
 };
 
 /**
- * Create v2 save data with both panels and config info
+ * Create save data with both panels, their layers and config info
+ * front and back hold the flattened design so older versions can still read it.
  */
 export const createSaveData = () => {
     // Ensure current panel is saved to state
@@ -53,10 +61,27 @@ export const createSaveData = () => {
             size: state.jumperConfig.activeSize,
         },
 
+        // Stitches and rows per 10 cm
+        gauge: { ...state.gauge },
+
+        // Yarn used for the estimate
+        yarn: { ...state.yarn },
+
+        // Technique the rows are checked against
+        technique: state.technique,
+
+        // Flat or in the round
+        construction: state.construction,
+
         // Design data for both panels
         design: {
             front: { ...state.design.front },
             back: { ...state.design.back },
+            layers: serializeLayers(),
+            stitches: {
+                front: { ...state.design.stitches.front },
+                back: { ...state.design.stitches.back },
+            },
         },
 
         // Metadata
@@ -121,19 +146,33 @@ export const applyPatternData = (patternData) => {
             pixel.style.backgroundColor = color;
         }
     }
+    resetLayers(state.jumperConfig.activePanel, captureCanvasDesign());
+    clearPanelStitches(state.jumperConfig.activePanel);
+    renderLayers();
     clearHistory();
 };
 
 /**
- * Apply v2 save data
+ * Apply v2 to v8 save data
+ * v2 saves have no layers, so each panel gets a single background layer;
+ * saves before v4 have no gauge, before v5 no yarn, before v6 no technique,
+ * before v7 no stitches and before v8 no construction, and get the defaults
+ * (all knit for stitches, the jumper config's construction).
  */
 const applySaveData = (saveData) => {
+    setGauge(saveData.gauge, false);
+
     // Update design state
     state.design.front = saveData.design.front || {};
     state.design.back = saveData.design.back || {};
+    loadLayers(saveData.design.layers);
+    loadStitches(saveData.design.stitches);
 
     // Load the current panel to canvas
     loadPanelToCanvas(state.jumperConfig.activePanel);
+    setYarn(saveData.yarn, false);
+    setTechnique(saveData.technique, false);
+    setConstruction(saveData.construction || getActiveConfig()?.construction, false, Boolean(saveData.construction));
 
     clearHistory();
 
@@ -153,7 +192,7 @@ export const getSavedPatterns = () => {
 };
 
 /**
- * Save pattern with v2 format
+ * Save pattern in the current format
  */
 export const savePattern = (name) => {
     const patterns = getSavedPatterns();
@@ -188,7 +227,7 @@ export const loadPatternByName = (name) => {
         const migratedData = migrateV1ToV2(patternData);
         applySaveData(migratedData);
     } else {
-        // V2 format - apply directly
+        // V2+ format - apply directly
         applySaveData(patternData);
     }
 
@@ -220,7 +259,7 @@ export const getPatternInfo = (name) => {
         };
     }
 
-    // V2 format
+    // V2+ format
     return {
         name,
         savedAt: patternData.savedAt,
@@ -256,7 +295,7 @@ const showAutoSaveIndicator = () => {
 };
 
 /**
- * Auto-save with v2 format
+ * Auto-save in the current format
  */
 export const autoSave = () => {
     // Save current panel to state first
@@ -294,11 +333,20 @@ export const loadAutoSave = () => {
                 return;
             }
 
-            // V2 format
+            // V2+ format (layers may hold hidden content even when the flattened design is empty)
             if (parsed.version >= 2) {
+                const hasLayerCells = Object.values(parsed.design?.layers || {}).some(stack =>
+                    (stack?.layers || []).some(layer => Object.keys(layer.cells || {}).length > 0)
+                );
+                // A texture-only chart (seed stitch on plain white) has stitches but no colours
+                const hasStitches = Object.values(parsed.design?.stitches || {}).some(stitches =>
+                    Object.keys(stitches || {}).length > 0
+                );
                 const hasData =
                     Object.keys(parsed.design?.front || {}).length > 0 ||
-                    Object.keys(parsed.design?.back || {}).length > 0;
+                    Object.keys(parsed.design?.back || {}).length > 0 ||
+                    hasLayerCells ||
+                    hasStitches;
 
                 if (hasData) {
                     applySaveData(parsed);
@@ -0,0 +1,279 @@
+// Recolour Module
+// "Replace colour" dialog that maps every colour in the design to a new one
+
+import { state, getDesignKey } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { getLayers, setLayerCell } from './layers.js';
+import { normalizeColor } from './fill.js';
+import { rgbToHex } from './export.js';
+import { setPixelPreview, clearPixelPreview } from './canvas.js';
+import { escapeHtml } from './ui.js';
+import { commitFloatingSelection } from './floatingSelection.js';
+
+let modalElement = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+let previewPixels = [];
+
+const PANELS = ['front', 'back'];
+
+/**
+ * Convert any stored colour to a lowercase hex string so equal colours compare equal
+ * @param {string} color - CSS colour ('', 'white', 'rgb(...)' or hex)
+ * @returns {string} e.g. '#ffffff'
+ */
+const toHex = (color) => rgbToHex(normalizeColor(color)).toLowerCase();
+
+/**
+ * Initialize the recolour dialog (creates DOM elements)
+ * @param {Function} autoSaveCallback - Callback to schedule an auto-save
+ * @param {Function} minimapCallback - Callback to refresh minimap
+ */
+export const initRecolor = (autoSaveCallback, minimapCallback = null) => {
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+
+    if (document.getElementById('recolorModal')) {
+        modalElement = document.getElementById('recolorModal');
+        return;
+    }
+
+    modalElement = document.createElement('div');
+    modalElement.id = 'recolorModal';
+    modalElement.className = 'modal recolor-modal';
+    modalElement.innerHTML = `
+        <div class="modal-content recolor-modal-content">
+            <span class="modal-close" id="recolorModalClose">&times;</span>
+            <h2>Replace Colour</h2>
+
+            <div class="recolor-scope">
+                <label><input type="radio" name="recolorScope" value="both" checked> Front and back</label>
+                <label><input type="radio" name="recolorScope" value="current"> Current panel only</label>
+            </div>
+
+            <div class="recolor-list" id="recolorList">
+                <!-- Colours will be populated dynamically -->
+            </div>
+
+            <div class="recolor-actions">
+                <button id="recolorApplyBtn" class="modal-btn save-btn">
+                    <i class="fas fa-check"></i> Apply
+                </button>
+                <button id="recolorResetBtn" class="modal-btn">
+                    <i class="fas fa-undo"></i> Reset
+                </button>
+                <button id="recolorCancelBtn" class="modal-btn">
+                    <i class="fas fa-times"></i> Cancel
+                </button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modalElement);
+
+    document.getElementById('recolorModalClose').addEventListener('click', hideRecolorModal);
+    document.getElementById('recolorCancelBtn').addEventListener('click', hideRecolorModal);
+    document.getElementById('recolorResetBtn').addEventListener('click', populateColors);
+    document.getElementById('recolorApplyBtn').addEventListener('click', applyRecolor);
+    modalElement.querySelectorAll('input[name="recolorScope"]').forEach(input => {
+        input.addEventListener('change', populateColors);
+    });
+
+    // Close on backdrop click
+    modalElement.addEventListener('click', (e) => {
+        if (e.target === modalElement) {
+            hideRecolorModal();
+        }
+    });
+};
+
+export const isRecolorModalOpen = () => modalElement !== null && modalElement.classList.contains('show');
+
+/**
+ * Show the recolour dialog
+ */
+export const showRecolorModal = () => {
+    if (!modalElement) return;
+
+    // Floating content isn't part of the design yet, so place it first
+    commitFloatingSelection();
+
+    populateColors();
+    modalElement.classList.add('show');
+};
+
+/**
+ * Hide the recolour dialog and drop the preview
+ */
+export const hideRecolorModal = () => {
+    clearRecolorPreview();
+    if (modalElement) {
+        modalElement.classList.remove('show');
+    }
+};
+
+const getScope = () => {
+    const checked = modalElement.querySelector('input[name="recolorScope"]:checked');
+    return checked ? checked.value : 'both';
+};
+
+/**
+ * Get the panels the dialog applies to, active panel first
+ * @returns {Array} Panel names
+ */
+const getScopePanels = () => {
+    const activePanel = state.jumperConfig.activePanel;
+    if (getScope() === 'current') return [activePanel];
+    return [activePanel, ...PANELS.filter(panel => panel !== activePanel)];
+};
+
+/**
+ * Count the colours used on each panel
+ * The active panel is read from the canvas; other panels from state.design.
+ * Uncoloured cells count as white, since they are knitted in the background colour.
+ * @param {Array} panels - Panel names
+ * @returns {Map} hex -> { front: count, back: count }
+ */
+export const getColorUsage = (panels = PANELS) => {
+    const usage = new Map();
+    const activePanel = state.jumperConfig.activePanel;
+
+    panels.forEach(panel => {
+        const design = state.design[panel] || {};
+        state.pixels.forEach(pixel => {
+            const color = panel === activePanel
+                ? pixel.style.backgroundColor
+                : design[getDesignKey(pixel.dataset.rowIndex, pixel.dataset.colIndex)];
+            const hex = toHex(color);
+            if (!usage.has(hex)) {
+                usage.set(hex, { front: 0, back: 0 });
+            }
+            usage.get(hex)[panel]++;
+        });
+    });
+
+    return usage;
+};
+
+const populateColors = () => {
+    clearRecolorPreview();
+    const list = document.getElementById('recolorList');
+    list.innerHTML = '';
+
+    const panels = getScopePanels();
+    const usage = getColorUsage(panels);
+
+    // Most used colours first
+    const colors = Array.from(usage.entries())
+        .sort(([, a], [, b]) => (b.front + b.back) - (a.front + a.back));
+
+    colors.forEach(([hex, counts]) => {
+        const countText = panels
+            .map(panel => `${panel === 'front' ? 'Front' : 'Back'} ${counts[panel]}`)
+            .join(' · ');
+
+        const item = document.createElement('div');
+        item.className = 'recolor-item';
+        item.innerHTML = `
+            <span class="recolor-swatch" style="background-color: ${hex};"></span>
+            <span class="recolor-label">
+                ${escapeHtml(hex)}${hex === '#ffffff' ? ' (background)' : ''}
+                <span class="recolor-counts">${countText}</span>
+            </span>
+            <i class="fas fa-arrow-right"></i>
+            <input type="color" value="${hex}" data-from="${hex}" title="New colour">
+        `;
+        list.appendChild(item);
+
+        item.querySelector('input').addEventListener('input', updateRecolorPreview);
+    });
+};
+
+/**
+ * Read the mappings from the dialog
+ * @returns {Map} from hex -> to hex, only for colours that change
+ */
+const getMapping = () => {
+    const mapping = new Map();
+    modalElement.querySelectorAll('#recolorList input[type="color"]').forEach(input => {
+        const to = input.value.toLowerCase();
+        if (to !== input.dataset.from) {
+            mapping.set(input.dataset.from, to);
+        }
+    });
+    return mapping;
+};
+
+const clearRecolorPreview = () => {
+    previewPixels.forEach(pixel => clearPixelPreview(pixel));
+    previewPixels = [];
+};
+
+/**
+ * Preview the mappings on the canvas without changing the design
+ */
+const updateRecolorPreview = () => {
+    clearRecolorPreview();
+    const mapping = getMapping();
+    if (mapping.size === 0) return;
+
+    state.pixels.forEach(pixel => {
+        const to = mapping.get(toHex(pixel.style.backgroundColor));
+        if (to) {
+            setPixelPreview(pixel, to);
+            previewPixels.push(pixel);
+        }
+    });
+};
+
+/**
+ * Apply the mappings to every panel in scope as a single undo operation
+ * Colours are replaced on every unlocked layer, hidden ones included. Empty cells are
+ * knitted in the background colour, so replacing it fills them on the bottom layer.
+ */
+const applyRecolor = () => {
+    const mapping = getMapping();
+    const panels = getScopePanels();
+    const activePanel = state.jumperConfig.activePanel;
+    const backgroundColor = mapping.get('#ffffff');
+    clearRecolorPreview();
+
+    const changes = [];
+    panels.forEach(panel => {
+        const layers = getLayers(panel);
+        const design = panel === activePanel ? null : (state.design[panel] || {});
+
+        state.pixels.forEach(pixel => {
+            const rowIndex = parseInt(pixel.dataset.rowIndex);
+            const colIndex = parseInt(pixel.dataset.colIndex);
+            const key = getDesignKey(rowIndex, colIndex);
+
+            layers.forEach(layer => {
+                const oldColor = layer.cells[key];
+                const newColor = oldColor && !layer.locked && mapping.get(toHex(oldColor));
+                if (newColor) {
+                    changes.push({ panel, layerId: layer.id, rowIndex, colIndex, oldColor, newColor });
+                }
+            });
+
+            const shownColor = design ? design[key] : pixel.style.backgroundColor;
+            const background = layers[0];
+            if (backgroundColor && toHex(shownColor) === '#ffffff' && !background.locked && !background.cells[key]) {
+                // The cell was empty, so undo empties it again rather than painting it white
+                changes.push({ panel, layerId: background.id, rowIndex, colIndex, oldColor: null, newColor: backgroundColor });
+            }
+        });
+    });
+
+    hideRecolorModal();
+
+    if (changes.length > 0) {
+        changes.forEach(({ panel, layerId, rowIndex, colIndex, newColor }) => {
+            setLayerCell(panel, layerId, rowIndex, colIndex, newColor);
+        });
+        state.design.metadata.modifiedAt = new Date().toISOString();
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
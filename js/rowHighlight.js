@@ -1,5 +1,4 @@
-import { TOTAL_ROWS } from './config.js';
-import { state } from './state.js';
+import { state, getActiveDimensions } from './state.js';
 
 // DOM element references
 let highlightToggleBtn = null;
@@ -19,7 +18,7 @@ export const initRowHighlight = (toggleBtn, controls, input, prevBtn, nextBtn) =
     // Set initial input value
     rowInput.value = state.highlightedRow;
     rowInput.min = 1;
-    rowInput.max = TOTAL_ROWS;
+    rowInput.max = getActiveDimensions().totalRows;
 };
 
 // Toggle highlight mode on/off
@@ -74,8 +73,10 @@ export const clearRowHighlight = () => {
 // Set the highlighted row number
 export const setHighlightedRow = (rowNumber) => {
     // Clamp to valid range
-    const newRow = Math.max(1, Math.min(TOTAL_ROWS, rowNumber));
+    const { totalRows } = getActiveDimensions();
+    const newRow = Math.max(1, Math.min(totalRows, rowNumber));
     state.highlightedRow = newRow;
+    rowInput.max = totalRows;
     rowInput.value = newRow;
 
     if (state.highlightRowEnabled) {
@@ -84,6 +85,14 @@ export const setHighlightedRow = (rowNumber) => {
     }
 };
 
+// Turn highlighting on if needed and highlight a row, e.g. from a list of problem rows
+export const jumpToRow = (rowNumber) => {
+    if (!state.highlightRowEnabled) {
+        toggleHighlightMode();
+    }
+    setHighlightedRow(rowNumber);
+};
+
 // Move to the previous row (visually down, numerically one less)
 export const prevRow = () => {
     if (state.highlightedRow > 1) {
@@ -93,7 +102,7 @@ export const prevRow = () => {
 
 // Move to the next row (visually up, numerically one more)
 export const nextRow = () => {
-    if (state.highlightedRow < TOTAL_ROWS) {
+    if (state.highlightedRow < getActiveDimensions().totalRows) {
         setHighlightedRow(state.highlightedRow + 1);
     }
 };
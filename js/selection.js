@@ -1,6 +1,12 @@
-import { TOTAL_ROWS, TOTAL_COLUMNS } from './config.js';
-import { state, getPixelByCoords } from './state.js';
-import { getMirroredPixels } from './symmetry.js';
+import { state, getPixelKey, getPixelByCoords } from './state.js';
+import { getBrushPixels } from './brush.js';
+import { findColorRegion } from './fill.js';
+import { getLineCells, getRectangleCells } from './shapes.js';
+
+// Marquee or lasso drag in progress
+// { tool, mode, start: [row, col], end: [row, col], path: [[row, col], ...] }
+let areaSelection = null;
+let areaPreviewPixels = [];
 
 export const toggleSelect = (pixel) => {
     if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
@@ -9,9 +15,7 @@ export const toggleSelect = (pixel) => {
     const colIndex = parseInt(pixel.dataset.colIndex);
     const isSelected = pixel.classList.contains('selected');
 
-    const mirroredPixels = getMirroredPixels(rowIndex, colIndex);
-
-    mirroredPixels.forEach(({ pixel: p }) => {
+    getBrushPixels(rowIndex, colIndex).forEach(({ pixel: p }) => {
         if (isSelected) {
             p.classList.remove('selected');
         } else {
@@ -22,49 +26,194 @@ export const toggleSelect = (pixel) => {
 
 export const selectPixel = (pixel) => {
     if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
-    if (pixel.classList.contains('selected')) return;
 
     const rowIndex = parseInt(pixel.dataset.rowIndex);
     const colIndex = parseInt(pixel.dataset.colIndex);
 
-    const mirroredPixels = getMirroredPixels(rowIndex, colIndex);
-    mirroredPixels.forEach(({ pixel: p }) => {
+    getBrushPixels(rowIndex, colIndex).forEach(({ pixel: p }) => {
         p.classList.add('selected');
     });
 };
 
-export const selectAdjacentPixels = (pixel) => {
-    const rowIndex = parseInt(pixel.dataset.rowIndex);
-    const colIndex = parseInt(pixel.dataset.colIndex);
+export const batchSelectPixels = (pixelsToSelect) => {
+    requestAnimationFrame(() => {
+        pixelsToSelect.forEach(pixel => pixel.classList.add('selected'));
+    });
+};
 
-    const adjacentOffsets = [
-        [-1, -1], [-1, 0], [-1, 1],
-        [0, -1],           [0, 1],
-        [1, -1], [1, 0], [1, 1]
-    ];
-
-    const pixelsToSelect = [pixel];
-
-    adjacentOffsets.forEach(offset => {
-        const adjRowIndex = rowIndex + offset[0];
-        const adjColIndex = colIndex + offset[1];
-        if (adjRowIndex >= 1 && adjRowIndex <= TOTAL_ROWS && adjColIndex >= 1 && adjColIndex <= TOTAL_COLUMNS) {
-            const adjPixel = getPixelByCoords(adjRowIndex, adjColIndex);
-            if (adjPixel && !adjPixel.classList.contains('selected')) {
-                pixelsToSelect.push(adjPixel);
-            }
+export const clearSelection = () => {
+    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+};
+
+/**
+ * Select the region sharing a pixel's colour (magic wand)
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ * @param {Object} options
+ * @param {string} options.mode - 'replace', 'add' or 'subtract'
+ * @param {boolean} options.global - Select every pixel of that colour on the panel
+ */
+export const magicWandSelect = (pixel, options = {}) => {
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
+
+    const { mode = 'replace', global = false } = options;
+    const region = findColorRegion(pixel, { global });
+
+    applySelection(region.map(({ pixel: p }) => p), mode);
+};
+
+/**
+ * Get the selection mode implied by the modifier keys of a pointer event
+ * Shift adds to the selection and Alt subtracts from it
+ * @param {MouseEvent} e
+ * @returns {string} 'replace', 'add' or 'subtract'
+ */
+export const getSelectionMode = (e) => {
+    if (e.altKey) return 'subtract';
+    if (e.shiftKey) return 'add';
+    return 'replace';
+};
+
+/**
+ * Apply a selection mode to a set of pixels
+ * @param {Array} pixels - Pixels to add or remove
+ * @param {string} mode - 'replace', 'add' or 'subtract'
+ */
+const applySelection = (pixels, mode) => {
+    if (mode === 'replace') {
+        clearSelection();
+    }
+    pixels.forEach(pixel => {
+        if (mode === 'subtract') {
+            pixel.classList.remove('selected');
+        } else {
+            pixel.classList.add('selected');
         }
     });
+};
 
-    batchSelectPixels(pixelsToSelect);
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {number} row
+ * @param {number} col
+ * @param {Array} polygon - Array of [row, col] vertices
+ * @returns {boolean}
+ */
+const isInsidePolygon = (row, col, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [rowI, colI] = polygon[i];
+        const [rowJ, colJ] = polygon[j];
+        const crosses = (rowI > row) !== (rowJ > row) &&
+            col < ((colJ - colI) * (row - rowI)) / (rowJ - rowI) + colI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
 };
 
-export const batchSelectPixels = (pixelsToSelect) => {
-    requestAnimationFrame(() => {
-        pixelsToSelect.forEach(pixel => pixel.classList.add('selected'));
+/**
+ * Get the cells enclosed by the marquee or lasso being dragged
+ * @returns {Array} Array of [rowIndex, colIndex] pairs
+ */
+const getAreaCells = () => {
+    if (!areaSelection) return [];
+
+    if (areaSelection.tool === 'marquee') {
+        const [r0, c0] = areaSelection.start;
+        const [r1, c1] = areaSelection.end;
+        return getRectangleCells(r0, c0, r1, c1, true);
+    }
+
+    // Lasso: the traced outline plus everything it encloses
+    const path = areaSelection.path;
+    const cells = new Map(path.map(([row, col]) => [getPixelKey(row, col), [row, col]]));
+    const rows = path.map(([row]) => row);
+    const cols = path.map(([, col]) => col);
+
+    for (let row = Math.min(...rows); row <= Math.max(...rows); row++) {
+        for (let col = Math.min(...cols); col <= Math.max(...cols); col++) {
+            if (isInsidePolygon(row, col, path)) {
+                cells.set(getPixelKey(row, col), [row, col]);
+            }
+        }
+    }
+
+    return Array.from(cells.values());
+};
+
+const clearAreaPreview = () => {
+    areaPreviewPixels.forEach(pixel => pixel.classList.remove('selecting'));
+    areaPreviewPixels = [];
+};
+
+const drawAreaPreview = () => {
+    clearAreaPreview();
+    // The lasso previews its outline only; enclosed cells are found on release
+    const cells = areaSelection.tool === 'lasso' ? areaSelection.path : getAreaCells();
+    cells.forEach(([row, col]) => {
+        const pixel = getPixelByCoords(row, col);
+        if (pixel) {
+            pixel.classList.add('selecting');
+            areaPreviewPixels.push(pixel);
+        }
     });
 };
 
-export const clearSelection = () => {
-    state.pixels.forEach(pixel => pixel.classList.remove('selected'));
+/**
+ * Start a marquee or lasso selection
+ * @param {HTMLElement} pixel - The pixel where the drag started
+ * @param {string} tool - 'marquee' or 'lasso'
+ * @param {string} mode - 'replace', 'add' or 'subtract'
+ */
+export const startAreaSelection = (pixel, tool, mode = 'replace') => {
+    if (!pixel.classList.contains('pixel')) return;
+    const point = [parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex)];
+    areaSelection = { tool, mode, start: point, end: point, path: [point] };
+    drawAreaPreview();
 };
+
+/**
+ * Extend the marquee or lasso to the pixel under the pointer
+ * Shaped-off pixels are accepted so the area can be dragged past the edges
+ * @param {HTMLElement} pixel
+ */
+export const updateAreaSelection = (pixel) => {
+    if (!areaSelection || !pixel.classList.contains('pixel')) return;
+    const point = [parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex)];
+    const [lastRow, lastCol] = areaSelection.end;
+    if (point[0] === lastRow && point[1] === lastCol) return;
+
+    if (areaSelection.tool === 'lasso') {
+        // Join the points so fast pointer movement leaves no gaps in the outline
+        getLineCells(lastRow, lastCol, point[0], point[1]).slice(1).forEach(cell => {
+            areaSelection.path.push(cell);
+        });
+    }
+
+    areaSelection.end = point;
+    drawAreaPreview();
+};
+
+/**
+ * Finish the marquee or lasso and apply it to the selection
+ */
+export const finishAreaSelection = () => {
+    if (!areaSelection) return;
+
+    const pixels = getAreaCells()
+        .map(([row, col]) => getPixelByCoords(row, col))
+        .filter(Boolean);
+    const { mode } = areaSelection;
+
+    clearAreaPreview();
+    areaSelection = null;
+    applySelection(pixels, mode);
+};
+
+export const cancelAreaSelection = () => {
+    clearAreaPreview();
+    areaSelection = null;
+};
+
+export const isAreaSelectionActive = () => areaSelection !== null;
+
+export const hasSelection = () => state.pixels.some(pixel => pixel.classList.contains('selected'));
@@ -0,0 +1,228 @@
+// Shapes Module
+// Line, rectangle and ellipse tools with a live rubber-band preview
+
+import { state, getPixelKey, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { getMirroredPixels } from './symmetry.js';
+import { setPixelPreview, clearPixelPreview } from './canvas.js';
+import { filterLayerChanges } from './layers.js';
+
+export const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse'];
+
+let colorPicker;
+let filledCheckbox = null;
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+// Shape currently being dragged out
+let shapeStart = null;
+let shapeEnd = null;
+let previewPixels = [];
+
+export const initShapes = (colorPickerElement, filledCheckboxElement, autoSaveCallback, minimapCallback = null) => {
+    colorPicker = colorPickerElement;
+    filledCheckbox = filledCheckboxElement;
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+};
+
+export const isShapeTool = (tool) => SHAPE_TOOLS.includes(tool);
+
+/**
+ * Get the cells of a line using Bresenham's algorithm
+ * @returns {Array} Array of [rowIndex, colIndex] pairs
+ */
+export const getLineCells = (r0, c0, r1, c1) => {
+    const cells = [];
+    const dRow = Math.abs(r1 - r0);
+    const dCol = Math.abs(c1 - c0);
+    const stepRow = r0 < r1 ? 1 : -1;
+    const stepCol = c0 < c1 ? 1 : -1;
+    let error = dCol - dRow;
+    let row = r0;
+    let col = c0;
+
+    while (true) {
+        cells.push([row, col]);
+        if (row === r1 && col === c1) break;
+        const doubled = error * 2;
+        if (doubled > -dRow) {
+            error -= dRow;
+            col += stepCol;
+        }
+        if (doubled < dCol) {
+            error += dCol;
+            row += stepRow;
+        }
+    }
+
+    return cells;
+};
+
+/**
+ * Get the cells of a rectangle spanning two corners
+ * @returns {Array} Array of [rowIndex, colIndex] pairs
+ */
+export const getRectangleCells = (r0, c0, r1, c1, filled = false) => {
+    const minRow = Math.min(r0, r1);
+    const maxRow = Math.max(r0, r1);
+    const minCol = Math.min(c0, c1);
+    const maxCol = Math.max(c0, c1);
+    const cells = [];
+
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            const onEdge = row === minRow || row === maxRow || col === minCol || col === maxCol;
+            if (filled || onEdge) {
+                cells.push([row, col]);
+            }
+        }
+    }
+
+    return cells;
+};
+
+/**
+ * Get the cells of an ellipse inscribed in the box spanning two corners
+ * The outline is the set of filled cells that touch a cell outside the ellipse
+ * @returns {Array} Array of [rowIndex, colIndex] pairs
+ */
+export const getEllipseCells = (r0, c0, r1, c1, filled = false) => {
+    const minRow = Math.min(r0, r1);
+    const maxRow = Math.max(r0, r1);
+    const minCol = Math.min(c0, c1);
+    const maxCol = Math.max(c0, c1);
+    const centerRow = (minRow + maxRow) / 2;
+    const centerCol = (minCol + maxCol) / 2;
+    const radiusRow = (maxRow - minRow + 1) / 2;
+    const radiusCol = (maxCol - minCol + 1) / 2;
+
+    const inside = (row, col) =>
+        ((row - centerRow) / radiusRow) ** 2 + ((col - centerCol) / radiusCol) ** 2 <= 1;
+
+    const cells = [];
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            if (!inside(row, col)) continue;
+            const onEdge = !inside(row - 1, col) || !inside(row + 1, col) ||
+                           !inside(row, col - 1) || !inside(row, col + 1);
+            if (filled || onEdge) {
+                cells.push([row, col]);
+            }
+        }
+    }
+
+    return cells;
+};
+
+/**
+ * Get the pixels the current shape would colour, clipped to the active shaping
+ * and expanded by the active mirror modes
+ */
+const getShapePixels = () => {
+    if (!shapeStart || !shapeEnd) return [];
+
+    const [r0, c0] = shapeStart;
+    const [r1, c1] = shapeEnd;
+    const filled = filledCheckbox ? filledCheckbox.checked : false;
+
+    let cells;
+    switch (state.activeTool) {
+        case 'line':
+            cells = getLineCells(r0, c0, r1, c1);
+            break;
+        case 'rectangle':
+            cells = getRectangleCells(r0, c0, r1, c1, filled);
+            break;
+        case 'ellipse':
+            cells = getEllipseCells(r0, c0, r1, c1, filled);
+            break;
+        default:
+            return [];
+    }
+
+    const pixels = new Map();
+    cells.forEach(([row, col]) => {
+        // Only active pixels are in the pixel map, so shaped-off cells are skipped
+        if (!getPixelByCoords(row, col)) return;
+        getMirroredPixels(row, col).forEach(entry => {
+            pixels.set(getPixelKey(entry.rowIndex, entry.colIndex), entry);
+        });
+    });
+
+    return Array.from(pixels.values());
+};
+
+const clearShapePreview = () => {
+    previewPixels.forEach(({ pixel }) => clearPixelPreview(pixel));
+    previewPixels = [];
+};
+
+const drawShapePreview = () => {
+    clearShapePreview();
+    const color = colorPicker ? colorPicker.value : '#000000';
+    previewPixels = getShapePixels();
+    previewPixels.forEach(({ pixel }) => setPixelPreview(pixel, color));
+};
+
+const getPixelCoords = (pixel) => [parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex)];
+
+/**
+ * Start dragging out a shape
+ * @param {HTMLElement} pixel - The pixel where the drag started
+ */
+export const startShape = (pixel) => {
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
+    shapeStart = getPixelCoords(pixel);
+    shapeEnd = shapeStart;
+    drawShapePreview();
+};
+
+/**
+ * Move the free end of the shape being dragged
+ * Shaped-off cells are accepted so shapes can be dragged past the edges
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const updateShape = (pixel) => {
+    if (!shapeStart || !pixel.classList.contains('pixel')) return;
+    const coords = getPixelCoords(pixel);
+    if (coords[0] === shapeEnd[0] && coords[1] === shapeEnd[1]) return;
+    shapeEnd = coords;
+    drawShapePreview();
+};
+
+/**
+ * Colour the previewed shape and record it as a single undo operation
+ */
+export const commitShape = () => {
+    if (!shapeStart) return;
+
+    const color = colorPicker ? colorPicker.value : '#000000';
+    const shapePixels = getShapePixels();
+    clearShapePreview();
+    shapeStart = null;
+    shapeEnd = null;
+
+    const changes = filterLayerChanges(shapePixels.map(({ pixel, rowIndex, colIndex }) => {
+        const oldColor = pixel.style.backgroundColor || 'white';
+        pixel.style.backgroundColor = color;
+        return { rowIndex, colIndex, oldColor, newColor: color };
+    }));
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+};
+
+/**
+ * Abandon the shape being dragged without changing the canvas
+ */
+export const cancelShape = () => {
+    clearShapePreview();
+    shapeStart = null;
+    shapeEnd = null;
+};
+
+export const isShapeInProgress = () => shapeStart !== null;
@@ -5,7 +5,11 @@ import { state, getActiveConfig, getActiveDimensions } from './state.js';
 import { getAvailableConfigs, getAvailableSizes, validateJumperConfig, loadCustomConfig } from './jumperConfigs.js';
 import { switchPanel, copyToOtherPanel, getDesignStats } from './panelManager.js';
 import { switchJumperConfig, switchJumperSize, hasDesignData, getPortingInfo, saveCurrentPanelDesign } from './canvasManager.js';
-import { portBothPanels } from './designPorting.js';
+import { portDesign } from './designPorting.js';
+import { commitFloatingSelection } from './floatingSelection.js';
+import { transformLayerCells, resetLayers } from './layers.js';
+import { transformPanelStitches, clearPanelStitches } from './stitches.js';
+import { applyConfigConstruction } from './construction.js';
 import { showPortingModal, initPortingModal, injectPortingModalStyles } from './portingModal.js';
 
 // Module references
@@ -253,35 +257,37 @@ const handleSizeChange = async (e) => {
  * Apply configuration/size change with optional porting
  */
 const applyConfigChange = (configId, size, portingStrategy) => {
-    // Save current panel first
+    // Place any floating content and save current panel first
+    commitFloatingSelection();
     saveCurrentPanelDesign();
 
-    let portedDesign = null;
-
     if (portingStrategy && portingStrategy !== 'discard') {
-        // Port the designs
-        const ported = portBothPanels(
-            state.design.front,
-            state.design.back,
-            state.jumperConfig.activeConfigId,
-            state.jumperConfig.activeSize,
-            configId,
-            size,
-            portingStrategy
+        // Port every layer of both panels so they stay separate
+        const { activeConfigId, activeSize } = state.jumperConfig;
+        ['front', 'back'].forEach(panel => {
+            state.design[panel] = transformLayerCells(panel, cells =>
+                portDesign(cells, activeConfigId, activeSize, configId, size, portingStrategy)
+            );
+        });
+        transformPanelStitches(stitches =>
+            portDesign(stitches, activeConfigId, activeSize, configId, size, portingStrategy)
         );
-        state.design.front = ported.front;
-        state.design.back = ported.back;
-        portedDesign = state.design[state.jumperConfig.activePanel];
     } else if (portingStrategy === 'discard') {
         state.design.front = {};
         state.design.back = {};
+        resetLayers('front');
+        resetLayers('back');
+        clearPanelStitches('front');
+        clearPanelStitches('back');
     }
 
     // Switch configuration
     if (configId !== state.jumperConfig.activeConfigId) {
-        switchJumperConfig(configId, size, portedDesign);
+        switchJumperConfig(configId, size);
+        // Each jumper type says whether it is usually knitted flat or in the round
+        applyConfigConstruction(getActiveConfig()?.construction);
     } else {
-        switchJumperSize(size, portedDesign);
+        switchJumperSize(size);
     }
 
     // Update UI
@@ -1,3 +1,5 @@
+import { ROWS_CONFIG, DEFAULT_GAUGE } from './config.js';
+
 // Centralized application state
 export const state = {
     // Pixel storage
@@ -9,14 +11,34 @@ export const state = {
     isDragging: false,
     isTouchActive: false,
 
-    // Mode flags
-    isFillMode: false,
+    // Active canvas tool ('select', 'brush', 'fill', ...)
+    activeTool: 'select',
+
+    // Brush tip used by the select and brush tools
+    brush: {
+        size: 1,            // 1, 2, 3 or 5 cells across
+        shape: 'square',    // 'square' or 'round'
+    },
+
+    // Cut/copied block { row, col, width, height, cells }, kept across panel switches
+    clipboard: null,
+
+    // Pattern fill repeat tile and where the repeat is anchored
+    patternFill: {
+        tile: null,         // { width, height, cells: [{ dRow, dCol, color }] }
+        anchor: 'center',   // 'center' (panel centre) or 'origin'
+        origin: null,       // { row, col } used when anchor is 'origin'
+    },
 
     // Symmetry state
     mirrorH: false,
     mirrorV: false,
+    symmetryMode: 'none',       // 'none', 'rotate2', 'rotate4' or 'dihedral8'
+    symmetryCenter: null,       // { columnSum, rowSum }, or null for the panel centre
     symmetryLineH: null,
     symmetryLineV: null,
+    symmetryGuides: null,
+    symmetryCenterHandle: null,
 
     // History stacks
     undoStack: [],
@@ -33,6 +55,18 @@ export const state = {
     touchTimeout: null,
     autoSaveTimeout: null,
 
+    // Motif library
+    motifLibrary: {
+        motifs: new Map(),      // Built-in and user motifs by ID
+        activeMotifId: null,    // Motif used by the stamp tool
+    },
+
+    // Text tool
+    textTool: {
+        fonts: new Map(),       // Bundled pixel fonts by ID
+        activeFontId: 'block-7',
+    },
+
     // Jumper configuration state
     jumperConfig: {
         activeConfigId: 'raglan-standard',  // Currently selected jumper type
@@ -42,10 +76,52 @@ export const state = {
         customConfigs: new Map(),            // User-uploaded custom configurations
     },
 
+    // Stitches and rows per 10 cm, saved with the pattern; sets the cell aspect ratio
+    gauge: { ...DEFAULT_GAUGE },
+
+    // Yarn used for the estimate, saved with the pattern
+    yarn: {
+        profileId: 'dk',
+        metresPerBall: 112,
+        gramsPerBall: 50,
+    },
+
+    // Float length check for stranded colourwork
+    floatCheck: {
+        enabled: false,
+        maxFloat: 5,            // Longest run allowed before the float behind it is flagged
+    },
+
+    // Knitting technique the rows are checked against, saved with the pattern
+    technique: 'none',          // 'none', 'stranded2', 'stranded3' or 'intarsia'
+
+    // How the pieces are knitted, saved with the pattern; defaults from the jumper config
+    construction: 'flat',       // 'flat' or 'round'
+
+    // Rulers and the measure tool
+    measure: {
+        unit: 'cm',             // 'cm' or 'in'
+        showRulers: false,
+        from: null,             // { rowIndex, colIndex } of the first measured cell
+        to: null,               // { rowIndex, colIndex } of the second
+    },
+
     // Design state for front and back panels
     design: {
         front: {},   // { "row-col": "color" } format
         back: {},    // { "row-col": "color" } format
+        // Layer stacks per panel: { activeLayerId, layers: [{ id, name, visible, locked, cells }] },
+        // bottom layer first. front and back above hold the flattened visible layers.
+        layers: {
+            front: null,
+            back: null,
+        },
+        // Stitch worked in each cell per panel: { "row-col": "purl" }, knit cells left out.
+        // Stitches belong to the panel rather than a layer.
+        stitches: {
+            front: {},
+            back: {},
+        },
         metadata: {
             createdAt: null,
             modifiedAt: null,
@@ -105,6 +181,36 @@ export const getActiveDimensions = () => {
     };
 };
 
+/**
+ * Get the active (knittable) column span of a row
+ * Uses the same shaping rules as buildCanvas, so the span matches the active pixels.
+ * @param {number} rowIndex
+ * @returns {Object|null} { start, end, stitches } or null if the row is outside the chart
+ */
+export const getRowSpan = (rowIndex) => {
+    const { totalRows, maxColumns } = getActiveDimensions();
+    if (rowIndex < 1 || rowIndex > totalRows) return null;
+
+    let padding = 0;
+    const rowsConfig = getActiveRowsConfig() || ROWS_CONFIG;
+    for (const config of rowsConfig) {
+        if (rowIndex >= config.start && rowIndex <= config.end) {
+            if (config.step) {
+                const columns = config.startColumns + (rowIndex - config.start) * config.step;
+                padding = (maxColumns - columns) / 2;
+            } else {
+                padding = config.padding || 0;
+            }
+            break;
+        }
+    }
+
+    // Active columns satisfy padding < col <= maxColumns - padding
+    const start = Math.floor(padding) + 1;
+    const end = Math.floor(maxColumns - padding);
+    return { start, end, stitches: end - start + 1 };
+};
+
 /**
  * Get the design key format used for persistence
  * @param {number} rowIndex
@@ -0,0 +1,501 @@
+// Stitches Module
+// Stitch types (knit, purl, yo, cables, ...) per cell alongside the colour, their chart symbols and the stitch tool
+
+import { state, getDesignKey, getPixelByCoords, getRowSpan } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { onLayersChange } from './layers.js';
+import { getBrushFootprint } from './brush.js';
+
+const PANELS = ['front', 'back'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Build the symbol of a cable crossing over a number of stitches
+ * The strand in front is drawn whole and the one behind it is broken where they cross.
+ * @param {number} width - Stitches the cable is worked over
+ * @param {string} front - 'right' (right cross, leaning /) or 'left' (left cross, leaning \)
+ * @returns {Array} Symbol shapes in a width x 1 box
+ */
+const cableSymbol = (width, front) => {
+    const left = 0.15;
+    const right = width - 0.15;
+    const strand = (fromY, toY) => (t1, t2) => ({
+        type: 'line',
+        x1: left + (right - left) * t1, y1: fromY + (toY - fromY) * t1,
+        x2: left + (right - left) * t2, y2: fromY + (toY - fromY) * t2
+    });
+    const rising = strand(0.9, 0.1);
+    const falling = strand(0.1, 0.9);
+    const [whole, broken] = front === 'right' ? [rising, falling] : [falling, rising];
+    return [whole(0, 1), broken(0, 0.38), broken(0.62, 1)];
+};
+
+// Knit is every cell's default and has no symbol. Symbols are drawn in a unit
+// cell (0,0 top left to 1,1 bottom right) so the editor and exports share them:
+// lines, dots (filled), rings (outlined) and shade (cell greyed out).
+// wsAbbreviation is how a stitch charted from the right side is written on a
+// wrong side row, where it is worked from the back. Every stitch needs one, even
+// when it is written the same on both sides.
+// Cables are worked over several stitches of a row: their symbols are width
+// cells wide, and each cell of the cable stores its part, e.g. "rc22+1" (see parseStitch).
+// A cable on a wrong side row is purled and held on the same side as from the right
+// side, which crosses it the same way on the right side; wsLegend explains that.
+export const STITCH_TYPES = {
+    knit: { name: 'Knit', abbreviation: 'K', wsAbbreviation: 'P', symbol: [] },
+    purl: { name: 'Purl', abbreviation: 'P', wsAbbreviation: 'K', symbol: [{ type: 'dot', cx: 0.5, cy: 0.5, r: 0.16 }] },
+    yo: { name: 'Yarn over', abbreviation: 'yo', wsAbbreviation: 'yo', symbol: [{ type: 'ring', cx: 0.5, cy: 0.5, r: 0.28 }] },
+    k2tog: { name: 'Knit 2 together', abbreviation: 'k2tog', wsAbbreviation: 'p2tog', symbol: [{ type: 'line', x1: 0.2, y1: 0.85, x2: 0.8, y2: 0.15 }] },
+    ssk: { name: 'Slip, slip, knit', abbreviation: 'ssk', wsAbbreviation: 'ssp', symbol: [{ type: 'line', x1: 0.2, y1: 0.15, x2: 0.8, y2: 0.85 }] },
+    p2tog: {
+        name: 'Purl 2 together',
+        abbreviation: 'p2tog',
+        wsAbbreviation: 'k2tog',
+        symbol: [
+            { type: 'line', x1: 0.2, y1: 0.85, x2: 0.8, y2: 0.15 },
+            { type: 'dot', cx: 0.72, cy: 0.72, r: 0.1 }
+        ]
+    },
+    slip: {
+        name: 'Slip 1 purlwise',
+        abbreviation: 'sl1',
+        wsAbbreviation: 'sl1',
+        symbol: [
+            { type: 'line', x1: 0.2, y1: 0.2, x2: 0.5, y2: 0.85 },
+            { type: 'line', x1: 0.5, y1: 0.85, x2: 0.8, y2: 0.2 }
+        ]
+    },
+    none: { name: 'No stitch', abbreviation: 'no stitch', wsAbbreviation: 'no stitch', symbol: [{ type: 'shade' }] },
+    rc22: {
+        name: '2/2 right cross',
+        abbreviation: '2/2 RC',
+        wsAbbreviation: '2/2 RC (WS)',
+        legend: 'slip 2 to cable needle, hold at back, k2, k2 from cable needle',
+        wsLegend: 'on a WS row, slip 2 to cable needle, hold at back (the RS), p2, p2 from cable needle',
+        width: 4,
+        symbol: cableSymbol(4, 'right')
+    },
+    lc22: {
+        name: '2/2 left cross',
+        abbreviation: '2/2 LC',
+        wsAbbreviation: '2/2 LC (WS)',
+        legend: 'slip 2 to cable needle, hold at front, k2, k2 from cable needle',
+        wsLegend: 'on a WS row, slip 2 to cable needle, hold at front (the WS), p2, p2 from cable needle',
+        width: 4,
+        symbol: cableSymbol(4, 'left')
+    },
+    rc33: {
+        name: '3/3 right cross',
+        abbreviation: '3/3 RC',
+        wsAbbreviation: '3/3 RC (WS)',
+        legend: 'slip 3 to cable needle, hold at back, k3, k3 from cable needle',
+        wsLegend: 'on a WS row, slip 3 to cable needle, hold at back (the RS), p3, p3 from cable needle',
+        width: 6,
+        symbol: cableSymbol(6, 'right')
+    },
+    lc33: {
+        name: '3/3 left cross',
+        abbreviation: '3/3 LC',
+        wsAbbreviation: '3/3 LC (WS)',
+        legend: 'slip 3 to cable needle, hold at front, k3, k3 from cable needle',
+        wsLegend: 'on a WS row, slip 3 to cable needle, hold at front (the WS), p3, p3 from cable needle',
+        width: 6,
+        symbol: cableSymbol(6, 'left')
+    },
+};
+
+// Catch a stitch added without its wrong side wording as soon as the app loads,
+// rather than when a pattern is exported
+Object.entries(STITCH_TYPES)
+    .filter(([, stitch]) => !stitch.wsAbbreviation)
+    .forEach(([id]) => console.error(`Stitch type "${id}" has no wsAbbreviation`));
+
+// Reading a chart the other way round swaps the direction a decrease or cable leans
+const MIRRORED_STITCHES = { k2tog: 'ssk', ssk: 'k2tog', rc22: 'lc22', lc22: 'rc22', rc33: 'lc33', lc33: 'rc33' };
+
+/**
+ * Split a stored stitch into its type and, for cables, which of its cells this is
+ * @param {string} value - e.g. "purl", "rc22" (first cell) or "rc22+2" (third cell)
+ * @returns {Object} { id, part } with part 0 for single-cell stitches
+ */
+export const parseStitch = (value) => {
+    const [id, part] = value.split('+');
+    return { id, part: parseInt(part) || 0 };
+};
+
+/**
+ * Get the value stored for one cell of a stitch
+ * @param {string} id - A key of STITCH_TYPES
+ * @param {number} part - Cell of a cable, counting from its left
+ * @returns {string}
+ */
+const getStitchValue = (id, part) => part > 0 ? `${id}+${part}` : id;
+
+let stitchSelect = null;
+let triggerAutoSaveCallback = null;
+
+// Changes made during the current stroke, keyed by design key so each cell is recorded once
+let strokeChanges = null;
+
+/**
+ * Initialize the stitch tool
+ * @param {HTMLSelectElement} stitchSelectElement - Select holding the stitch types
+ * @param {Function} autoSaveCallback - Callback to schedule an auto-save
+ */
+export const initStitches = (stitchSelectElement, autoSaveCallback) => {
+    stitchSelect = stitchSelectElement;
+    triggerAutoSaveCallback = autoSaveCallback;
+
+    if (stitchSelect) {
+        const options = (cables) => Object.entries(STITCH_TYPES)
+            .filter(([, stitch]) => !!stitch.width === cables)
+            .map(([id, stitch]) => `<option value="${id}">${cables ? stitch.abbreviation : stitch.name}</option>`)
+            .join('');
+        stitchSelect.innerHTML = options(false) + `<optgroup label="Cables">${options(true)}</optgroup>`;
+        stitchSelect.value = 'purl';
+    }
+
+    // The canvas is redrawn from the layers whenever a panel is loaded or rebuilt,
+    // so the symbols are redrawn with it
+    onLayersChange(renderStitches);
+};
+
+/**
+ * Get a panel's stitch map, creating it if needed
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Object} { "row-col": stitch }, knit cells left out
+ */
+export const getPanelStitches = (panel = state.jumperConfig.activePanel) =>
+    state.design.stitches[panel] || (state.design.stitches[panel] = {});
+
+/**
+ * Get the stitch worked in a cell
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {string} A key of STITCH_TYPES, with the part for cable cells (see parseStitch)
+ */
+export const getCellStitch = (rowIndex, colIndex, panel = state.jumperConfig.activePanel) =>
+    getPanelStitches(panel)[getDesignKey(rowIndex, colIndex)] || 'knit';
+
+/**
+ * Set the stitch worked in a cell and redraw its symbol
+ * @param {string} panel - 'front' or 'back'
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @param {string} stitch - Stored stitch value (see parseStitch); knit clears the cell
+ */
+export const setCellStitch = (panel, rowIndex, colIndex, stitch) => {
+    const stitches = getPanelStitches(panel);
+    const key = getDesignKey(rowIndex, colIndex);
+    const wasCable = !!STITCH_TYPES[parseStitch(stitches[key] || 'knit').id]?.width;
+    if (!STITCH_TYPES[parseStitch(stitch).id] || stitch === 'knit') {
+        delete stitches[key];
+    } else {
+        stitches[key] = stitch;
+    }
+
+    if (panel !== state.jumperConfig.activePanel) return;
+    // Cables check their neighbours, so a change to one redraws the row
+    if (wasCable || STITCH_TYPES[parseStitch(stitch).id]?.width) {
+        redrawRow(rowIndex);
+    } else {
+        const pixel = getPixelByCoords(rowIndex, colIndex);
+        if (pixel) drawStitchSymbol(pixel, getCellStitch(rowIndex, colIndex, panel));
+    }
+};
+
+/**
+ * Check that a cable cell belongs to a whole cable lying inside its row
+ * A cable is broken when shaping cuts it, e.g. after porting to another size,
+ * or when some of its cells have been given other stitches.
+ * @param {number} rowIndex
+ * @param {number} colIndex - Any cell of the cable
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {boolean} True for whole cables and for cells that aren't cables
+ */
+export const isCableIntact = (rowIndex, colIndex, panel = state.jumperConfig.activePanel) => {
+    const { id, part } = parseStitch(getCellStitch(rowIndex, colIndex, panel));
+    const width = STITCH_TYPES[id]?.width;
+    if (!width) return true;
+
+    const span = getRowSpan(rowIndex);
+    const start = colIndex - part;
+    for (let i = 0; i < width; i++) {
+        const col = start + i;
+        if (!span || col < span.start || col > span.end) return false;
+        if (getCellStitch(rowIndex, col, panel) !== getStitchValue(id, i)) return false;
+    }
+    return true;
+};
+
+/**
+ * Find the cables that are cut by shaping or missing cells
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Array} Array of { rowIndex, colIndex, id }, one per broken cell
+ */
+export const findBrokenCables = (panel = state.jumperConfig.activePanel) =>
+    Object.entries(getPanelStitches(panel))
+        .map(([key, value]) => {
+            const [rowIndex, colIndex] = key.split('-').map(Number);
+            return { rowIndex, colIndex, id: parseStitch(value).id };
+        })
+        .filter(({ rowIndex, colIndex, id }) => STITCH_TYPES[id]?.width && !isCableIntact(rowIndex, colIndex, panel));
+
+/**
+ * Build a stitch symbol as an SVG element sized to its cell
+ * Each cell of a cable shows its own slice of the cable's symbol.
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ * @returns {SVGElement|null} Null for stitches without a symbol
+ */
+const createSymbolElement = (stitch) => {
+    const { id, part } = parseStitch(stitch);
+    const shapes = STITCH_TYPES[id]?.symbol || [];
+    if (shapes.length === 0) return null;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `${part} 0 1 1`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.classList.add('stitch-symbol', `stitch-${id}`);
+
+    shapes.forEach(shape => {
+        let element;
+        if (shape.type === 'line') {
+            element = document.createElementNS(SVG_NS, 'line');
+            ['x1', 'y1', 'x2', 'y2'].forEach(attr => element.setAttribute(attr, shape[attr]));
+        } else if (shape.type === 'dot' || shape.type === 'ring') {
+            element = document.createElementNS(SVG_NS, 'ellipse');
+            element.setAttribute('cx', shape.cx);
+            element.setAttribute('cy', shape.cy);
+            element.setAttribute('rx', shape.r);
+            element.setAttribute('ry', shape.r);
+        } else {
+            element = document.createElementNS(SVG_NS, 'rect');
+            element.setAttribute('width', 1);
+            element.setAttribute('height', 1);
+        }
+        element.classList.add(`symbol-${shape.type}`);
+        svg.appendChild(element);
+    });
+    return svg;
+};
+
+/**
+ * Draw (or remove) the stitch symbol on a pixel, flagging it if it's part of a broken cable
+ * @param {HTMLElement} pixel
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ */
+const drawStitchSymbol = (pixel, stitch) => {
+    const existing = pixel.querySelector('.stitch-symbol');
+    if (existing) existing.remove();
+
+    const symbol = createSymbolElement(stitch);
+    if (symbol) pixel.appendChild(symbol);
+
+    const broken = !isCableIntact(parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex));
+    pixel.classList.toggle('cable-broken', broken);
+    if (broken) {
+        pixel.title = `Broken ${STITCH_TYPES[parseStitch(stitch).id].abbreviation} cable: it crosses the shaping edge or has lost some of its stitches`;
+    } else {
+        pixel.removeAttribute('title');
+    }
+};
+
+/**
+ * Redraw the symbols of every cell in a row, so cables re-check themselves
+ * @param {number} rowIndex
+ */
+const redrawRow = (rowIndex) => {
+    const span = getRowSpan(rowIndex);
+    if (!span) return;
+    for (let col = span.start; col <= span.end; col++) {
+        const pixel = getPixelByCoords(rowIndex, col);
+        if (pixel) drawStitchSymbol(pixel, getCellStitch(rowIndex, col));
+    }
+};
+
+/**
+ * Redraw every stitch symbol on the canvas from the active panel
+ */
+export const renderStitches = () => {
+    const stitches = getPanelStitches();
+    state.pixels.forEach(pixel => {
+        const key = getDesignKey(pixel.dataset.rowIndex, pixel.dataset.colIndex);
+        drawStitchSymbol(pixel, stitches[key] || 'knit');
+    });
+};
+
+/**
+ * Start a new stitch stroke at the given pixel
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const beginStitchStroke = (pixel) => {
+    strokeChanges = new Map();
+    paintStitch(pixel);
+};
+
+/**
+ * Set a cell's stitch as part of the current stroke
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @param {string} stitch - Stored stitch value (see parseStitch)
+ */
+const recordStitch = (rowIndex, colIndex, stitch) => {
+    const key = getDesignKey(rowIndex, colIndex);
+    const existing = strokeChanges.get(key);
+    // Keep the stitch from before the stroke so undo restores it
+    const oldStitch = existing ? existing.oldStitch : getCellStitch(rowIndex, colIndex);
+
+    setCellStitch(state.jumperConfig.activePanel, rowIndex, colIndex, stitch);
+    strokeChanges.set(key, { rowIndex, colIndex, oldStitch, newStitch: stitch });
+};
+
+/**
+ * Turn the whole cable covering a cell back into knit stitches, so no half cables are left
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ */
+const clearCableAt = (rowIndex, colIndex) => {
+    const { id, part } = parseStitch(getCellStitch(rowIndex, colIndex));
+    const width = STITCH_TYPES[id]?.width;
+    if (!width) return;
+
+    const start = colIndex - part;
+    for (let i = 0; i < width; i++) {
+        // Only the cells that still belong to this cable
+        if (getCellStitch(rowIndex, start + i) === getStitchValue(id, i)) {
+            recordStitch(rowIndex, start + i, 'knit');
+        }
+    }
+};
+
+/**
+ * Place a cable as one unit, starting at a cell and running to the right
+ * @param {number} rowIndex
+ * @param {number} colIndex - Leftmost cell of the cable
+ * @param {string} id - A cable key of STITCH_TYPES
+ * @returns {boolean} False if the cable would cross the shaping edge
+ */
+const placeCable = (rowIndex, colIndex, id) => {
+    const { width, abbreviation } = STITCH_TYPES[id];
+    for (let i = 0; i < width; i++) {
+        if (!getPixelByCoords(rowIndex, colIndex + i)) {
+            alert(`A ${abbreviation} cable is worked over ${width} stitches and would cross the shaping edge of row ${rowIndex}. Start it further in.`);
+            return false;
+        }
+    }
+
+    for (let i = 0; i < width; i++) {
+        clearCableAt(rowIndex, colIndex + i);
+    }
+    for (let i = 0; i < width; i++) {
+        recordStitch(rowIndex, colIndex + i, getStitchValue(id, i));
+    }
+    return true;
+};
+
+/**
+ * Set the chosen stitch under the brush footprint as part of the current stroke
+ * Cables are placed once per stroke, from the pressed cell rightwards.
+ * Symmetry is not applied: a mirrored decrease would need to lean the other way.
+ * @param {HTMLElement} pixel - The pixel under the pointer
+ */
+export const paintStitch = (pixel) => {
+    if (!strokeChanges) return;
+    if (!pixel.classList.contains('pixel') || pixel.classList.contains('non-selectable')) return;
+
+    const stitch = stitchSelect ? stitchSelect.value : 'purl';
+    const rowIndex = parseInt(pixel.dataset.rowIndex);
+    const colIndex = parseInt(pixel.dataset.colIndex);
+
+    if (STITCH_TYPES[stitch].width) {
+        if (strokeChanges.size > 0) return;
+        // Nothing more happens in a stroke whose cable didn't fit
+        if (!placeCable(rowIndex, colIndex, stitch)) strokeChanges = null;
+        return;
+    }
+
+    getBrushFootprint(rowIndex, colIndex).forEach(([r, c]) => {
+        if (!getPixelByCoords(r, c)) return;
+        clearCableAt(r, c);
+        recordStitch(r, c, stitch);
+    });
+};
+
+/**
+ * Finish the current stitch stroke and record it as a single undo operation
+ */
+export const endStitchStroke = () => {
+    if (!strokeChanges) return;
+
+    const changes = Array.from(strokeChanges.values())
+        .filter(change => change.oldStitch !== change.newStitch);
+    strokeChanges = null;
+
+    if (changes.length > 0) {
+        pushToUndoStack({ type: 'stitch', changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+    }
+};
+
+/**
+ * Copy one panel's stitches onto another
+ * @param {string} sourcePanel
+ * @param {string} targetPanel
+ * @param {boolean} mirror - Flip left-right, swapping the lean of decreases and cables
+ * @param {number} maxColumns - Chart width, needed when mirroring
+ */
+export const copyPanelStitches = (sourcePanel, targetPanel, mirror = false, maxColumns = 0) => {
+    const copied = {};
+    for (const [key, stitch] of Object.entries(getPanelStitches(sourcePanel))) {
+        if (!mirror) {
+            copied[key] = stitch;
+            continue;
+        }
+        const [row, col] = key.split('-').map(Number);
+        const { id, part } = parseStitch(stitch);
+        // A flipped cable runs the other way, so its cells are numbered from the other end
+        const width = STITCH_TYPES[id]?.width || 1;
+        copied[getDesignKey(row, maxColumns - col + 1)] = getStitchValue(MIRRORED_STITCHES[id] || id, width - 1 - part);
+    }
+    state.design.stitches[targetPanel] = copied;
+};
+
+/**
+ * Rewrite the stitch maps of both panels, e.g. when porting to another size
+ * @param {Function} transform - (stitches, panel) => new stitches
+ */
+export const transformPanelStitches = (transform) => {
+    PANELS.forEach(panel => {
+        state.design.stitches[panel] = transform(getPanelStitches(panel), panel);
+    });
+};
+
+/**
+ * Clear the stitches of a panel back to knit
+ * @param {string} panel - 'front' or 'back'
+ */
+export const clearPanelStitches = (panel) => {
+    state.design.stitches[panel] = {};
+};
+
+/**
+ * Replace both panels' stitches, e.g. from a save
+ * @param {Object|undefined} saved - { front, back }; saves without stitches are all knit
+ */
+export const loadStitches = (saved) => {
+    state.design.stitches = {
+        front: { ...(saved?.front || {}) },
+        back: { ...(saved?.back || {}) }
+    };
+};
+
+/**
+ * Get the stitch types used on a panel, knit always first
+ * @param {string} panel - 'front' or 'back' (defaults to the active panel)
+ * @returns {Array} Keys of STITCH_TYPES
+ */
+export const getUsedStitches = (panel = state.jumperConfig.activePanel) => {
+    const used = new Set(Object.values(getPanelStitches(panel)).map(value => parseStitch(value).id));
+    return Object.keys(STITCH_TYPES).filter(id => id === 'knit' || used.has(id));
+};
@@ -1,119 +1,297 @@
-import { TOTAL_ROWS, TOTAL_COLUMNS, CENTER_COLUMN, CENTER_ROW } from './config.js';
-import { state, getPixelByCoords } from './state.js';
+import { state, getPixelByCoords, getActiveDimensions } from './state.js';
+import { getCellHeight } from './gauge.js';
 import { pushToUndoStack } from './history.js';
 
-let mirrorHBtn, mirrorVBtn, canvasWrapper;
+let mirrorHBtn, mirrorVBtn, modeSelect, canvasWrapper;
 let triggerAutoSaveCallback = null;
 let refreshMinimapCallback = null;
 
-export const initSymmetry = (mirrorHButton, mirrorVButton, wrapper, autoSaveCallback, minimapCallback = null) => {
+// Set while the symmetry centre handle is being dragged
+let draggingCenter = false;
+
+export const SYMMETRY_MODES = ['none', 'rotate2', 'rotate4', 'dihedral8'];
+
+/**
+ * Where each mode sends a point, as offsets (x, y) from the centre
+ * x grows to the right and y grows upwards, like column and row numbers.
+ */
+const MODE_TRANSFORMS = {
+    none: [(x, y) => [x, y]],
+    rotate2: [(x, y) => [x, y], (x, y) => [-x, -y]],
+    rotate4: [(x, y) => [x, y], (x, y) => [-y, x], (x, y) => [-x, -y], (x, y) => [y, -x]],
+    dihedral8: [
+        (x, y) => [x, y], (x, y) => [-y, x], (x, y) => [-x, -y], (x, y) => [y, -x],
+        (x, y) => [-x, y], (x, y) => [x, -y], (x, y) => [y, x], (x, y) => [-y, -x]
+    ]
+};
+
+export const initSymmetry = (mirrorHButton, mirrorVButton, wrapper, autoSaveCallback, minimapCallback = null, modeSelectElement = null) => {
     mirrorHBtn = mirrorHButton;
     mirrorVBtn = mirrorVButton;
+    modeSelect = modeSelectElement;
     canvasWrapper = wrapper;
     triggerAutoSaveCallback = autoSaveCallback;
     refreshMinimapCallback = minimapCallback;
-};
 
-export const getMirroredColumn = (col) => TOTAL_COLUMNS - col + 1;
+    if (modeSelect) {
+        modeSelect.value = state.symmetryMode;
+        modeSelect.addEventListener('change', () => setSymmetryMode(modeSelect.value));
+    }
 
-export const getMirroredRow = (row) => TOTAL_ROWS - row + 1;
+    document.addEventListener('mousemove', (e) => dragCenterTo(e.clientX, e.clientY));
+    document.addEventListener('mouseup', () => { draggingCenter = false; });
+    document.addEventListener('touchmove', (e) => {
+        if (draggingCenter) {
+            dragCenterTo(e.touches[0].clientX, e.touches[0].clientY);
+            e.preventDefault();
+        }
+    }, { passive: false });
+    document.addEventListener('touchend', () => { draggingCenter = false; });
+};
 
-export const getMirroredPixels = (rowIndex, colIndex) => {
-    const mirroredPixels = [];
+const isRotational = () => state.symmetryMode !== 'none';
 
-    const originalPixel = getPixelByCoords(rowIndex, colIndex);
-    if (originalPixel) {
-        mirroredPixels.push({ pixel: originalPixel, rowIndex, colIndex });
+/**
+ * Get the symmetry axes: the chosen centre, or the active config's centre
+ * Each axis is the sum of a cell's index and its mirror's. With an odd number of
+ * columns (or rows) the axis runs through the centre cell; with an even number the
+ * centre is the lower of the two middle cells and the axis runs between them.
+ * Quarter turns only land on whole cells when the centre is on a cell or a cell
+ * corner, so a centre on an edge between two rows moves onto the row below.
+ * @returns {Object} { columnSum, rowSum }
+ */
+export const getSymmetryAxes = () => {
+    let axes = state.symmetryCenter;
+    if (!axes) {
+        const { totalRows, maxColumns, centerColumn, centerRow } = getActiveDimensions();
+        axes = {
+            columnSum: 2 * centerColumn + (maxColumns % 2 === 0 ? 1 : 0),
+            rowSum: 2 * centerRow + (totalRows % 2 === 0 ? 1 : 0)
+        };
     }
 
-    if (state.mirrorH) {
-        const mirroredCol = getMirroredColumn(colIndex);
-        if (mirroredCol !== colIndex) {
-            const mirroredPixel = getPixelByCoords(rowIndex, mirroredCol);
-            if (mirroredPixel) {
-                mirroredPixels.push({ pixel: mirroredPixel, rowIndex, colIndex: mirroredCol });
-            }
-        }
+    const needsMatchingParity = state.symmetryMode === 'rotate4' || state.symmetryMode === 'dihedral8';
+    if (needsMatchingParity && (axes.columnSum - axes.rowSum) % 2 !== 0) {
+        return { columnSum: axes.columnSum, rowSum: axes.rowSum - 1 };
     }
+    return axes;
+};
+
+export const getMirroredColumn = (col) => getSymmetryAxes().columnSum - col;
+
+export const getMirroredRow = (row) => getSymmetryAxes().rowSum - row;
 
+/**
+ * Get every pixel a stroke at one cell should also colour under the active symmetry
+ * Rotation modes are combined with the H/V mirrors, so e.g. 2-fold rotation with
+ * Mirror H gives the same result as Mirror H and V together.
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {Array} Array of { pixel, rowIndex, colIndex }, the original cell first
+ */
+export const getMirroredPixels = (rowIndex, colIndex) => {
+    const { columnSum, rowSum } = getSymmetryAxes();
+    const x = 2 * colIndex - columnSum;
+    const y = 2 * rowIndex - rowSum;
+
+    let offsets = MODE_TRANSFORMS[state.symmetryMode].map(transform => transform(x, y));
+    if (state.mirrorH) {
+        offsets = offsets.concat(offsets.map(([dx, dy]) => [-dx, dy]));
+    }
     if (state.mirrorV) {
-        const mirroredRow = getMirroredRow(rowIndex);
-        if (mirroredRow !== rowIndex) {
-            const mirroredPixel = getPixelByCoords(mirroredRow, colIndex);
-            if (mirroredPixel) {
-                mirroredPixels.push({ pixel: mirroredPixel, rowIndex: mirroredRow, colIndex });
-            }
-        }
+        offsets = offsets.concat(offsets.map(([dx, dy]) => [dx, -dy]));
     }
 
-    if (state.mirrorH && state.mirrorV) {
-        const mirroredCol = getMirroredColumn(colIndex);
-        const mirroredRow = getMirroredRow(rowIndex);
-        if (mirroredCol !== colIndex && mirroredRow !== rowIndex) {
-            const mirroredPixel = getPixelByCoords(mirroredRow, mirroredCol);
-            if (mirroredPixel) {
-                mirroredPixels.push({ pixel: mirroredPixel, rowIndex: mirroredRow, colIndex: mirroredCol });
-            }
+    const mirroredPixels = [];
+    const seen = new Set();
+    offsets.forEach(([dx, dy]) => {
+        const mirroredCol = (columnSum + dx) / 2;
+        const mirroredRow = (rowSum + dy) / 2;
+        const key = `${mirroredRow},${mirroredCol}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const pixel = getPixelByCoords(mirroredRow, mirroredCol);
+        if (pixel) {
+            mirroredPixels.push({ pixel, rowIndex: mirroredRow, colIndex: mirroredCol });
         }
-    }
+    });
 
     return mirroredPixels;
 };
 
-export const updateSymmetryLines = () => {
-    if (state.symmetryLineH) {
-        state.symmetryLineH.remove();
-        state.symmetryLineH = null;
-    }
-    if (state.symmetryLineV) {
-        state.symmetryLineV.remove();
-        state.symmetryLineV = null;
+/**
+ * Choose the rotational symmetry mode
+ * @param {string} mode - One of SYMMETRY_MODES
+ */
+export const setSymmetryMode = (mode) => {
+    if (!SYMMETRY_MODES.includes(mode)) return;
+    state.symmetryMode = mode;
+    if (modeSelect) modeSelect.value = mode;
+    updateSymmetryLines();
+};
+
+/**
+ * Move the symmetry centre
+ * @param {Object|null} center - { columnSum, rowSum }, or null for the panel centre
+ */
+export const setSymmetryCenter = (center) => {
+    state.symmetryCenter = center;
+    updateSymmetryLines();
+};
+
+/**
+ * Put the symmetry centre back on the panel centre, e.g. after the canvas changes size
+ */
+export const resetSymmetryCenter = () => setSymmetryCenter(null);
+
+/**
+ * Move the centre to the cell, cell edge or cell corner nearest the pointer
+ * @param {number} clientX
+ * @param {number} clientY
+ */
+const dragCenterTo = (clientX, clientY) => {
+    if (!draggingCenter) return;
+    const element = document.elementFromPoint(clientX, clientY);
+    if (!element || !element.classList.contains('pixel')) return;
+
+    const rect = element.getBoundingClientRect();
+    const fx = (clientX - rect.left) / rect.width;
+    const fy = (clientY - rect.top) / rect.height;
+    const colIndex = parseInt(element.dataset.colIndex);
+    const rowIndex = parseInt(element.dataset.rowIndex);
+
+    // Near an edge snaps to the line between two cells; rows count upwards
+    const columnSum = 2 * colIndex + (fx < 0.25 ? -1 : fx > 0.75 ? 1 : 0);
+    const rowSum = 2 * rowIndex + (fy < 0.25 ? 1 : fy > 0.75 ? -1 : 0);
+
+    const current = state.symmetryCenter;
+    if (!current || current.columnSum !== columnSum || current.rowSum !== rowSum) {
+        setSymmetryCenter({ columnSum, rowSum });
     }
+};
 
-    if (!canvasWrapper) return;
+/**
+ * Find a cell's element, including shaped-off cells that aren't in the pixel map
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {HTMLElement|null}
+ */
+const getCellElement = (rowIndex, colIndex) =>
+    canvasWrapper.querySelector(`.pixel[data-row-index="${rowIndex}"][data-col-index="${colIndex}"]`);
 
+/**
+ * Get where the symmetry centre is drawn, relative to the canvas wrapper
+ * @returns {Object} { left, top } in pixels
+ */
+const getCenterPosition = () => {
     const pixelSize = 11;
     const gap = 1;
     const cellSize = pixelSize + gap;
     const padding = 20;
+    const { totalRows } = getActiveDimensions();
+    const { columnSum, rowSum } = getSymmetryAxes();
+
+    // The cells either side of each axis (the same cell when the axis runs through it)
+    const leftColumn = Math.floor(columnSum / 2);
+    const rightColumn = Math.ceil(columnSum / 2);
+    const lowerRow = Math.floor(rowSum / 2);
+    const upperRow = Math.ceil(rowSum / 2);
+    const wrapperRect = canvasWrapper.getBoundingClientRect();
+
+    let left;
+    const leftPixel = getCellElement(lowerRow, leftColumn);
+    const rightPixel = getCellElement(lowerRow, rightColumn);
+    if (leftPixel && rightPixel) {
+        left = ((leftPixel.getBoundingClientRect().left + rightPixel.getBoundingClientRect().right) / 2) - wrapperRect.left;
+    } else {
+        const rowLabelWidth = 20;
+        left = padding + rowLabelWidth + gap + (columnSum / 2 - 1) * cellSize + pixelSize / 2;
+    }
+
+    let top;
+    const upperPixel = getCellElement(upperRow, leftColumn);
+    const lowerPixel = getCellElement(lowerRow, leftColumn);
+    if (upperPixel && lowerPixel) {
+        // Higher row numbers are visually at top, so the upper row's top and the
+        // lower row's bottom bracket the axis
+        top = ((upperPixel.getBoundingClientRect().top + lowerPixel.getBoundingClientRect().bottom) / 2) - wrapperRect.top;
+    } else {
+        const rowSize = getCellHeight() + gap;
+        top = padding + (totalRows - rowSum / 2 + 0.5) * rowSize - gap / 2;
+    }
+
+    return { left, top };
+};
+
+/**
+ * Add a dashed guide line through the centre
+ * @param {HTMLElement} container - The guide overlay
+ * @param {Object} center - { left, top }
+ * @param {number} angle - Degrees from horizontal
+ */
+const addGuideLine = (container, center, angle) => {
+    const line = document.createElement('div');
+    line.className = 'symmetry-guide';
+    line.style.left = `${center.left}px`;
+    line.style.top = `${center.top}px`;
+    line.style.transform = `translateX(-50%) rotate(${angle}deg)`;
+    container.appendChild(line);
+};
+
+export const updateSymmetryLines = () => {
+    ['symmetryLineH', 'symmetryLineV', 'symmetryGuides', 'symmetryCenterHandle'].forEach(key => {
+        if (state[key]) {
+            state[key].remove();
+            state[key] = null;
+        }
+    });
+
+    if (!canvasWrapper) return;
+    if (!state.mirrorH && !state.mirrorV && !isRotational()) return;
+
+    const center = getCenterPosition();
 
     if (state.mirrorH) {
         state.symmetryLineH = document.createElement('div');
         state.symmetryLineH.className = 'symmetry-line-h';
-        const centerPixel = getPixelByCoords(TOTAL_ROWS, CENTER_COLUMN);
-        if (centerPixel) {
-            const rect = centerPixel.getBoundingClientRect();
-            const wrapperRect = canvasWrapper.getBoundingClientRect();
-            const leftPosition = (rect.left - wrapperRect.left) + (rect.width / 2);
-            state.symmetryLineH.style.left = `${leftPosition}px`;
-        } else {
-            const rowLabelWidth = 20;
-            const leftPosition = padding + rowLabelWidth + gap + (CENTER_COLUMN - 1) * cellSize + pixelSize / 2;
-            state.symmetryLineH.style.left = `${leftPosition}px`;
-        }
+        state.symmetryLineH.style.left = `${center.left}px`;
         canvasWrapper.appendChild(state.symmetryLineH);
     }
 
     if (state.mirrorV) {
         state.symmetryLineV = document.createElement('div');
         state.symmetryLineV.className = 'symmetry-line-v';
-        // Use CENTER_COLUMN to find pixels at the symmetry boundary
-        const rowAbovePixel = getPixelByCoords(CENTER_ROW + 1, CENTER_COLUMN);
-        const rowBelowPixel = getPixelByCoords(CENTER_ROW, CENTER_COLUMN);
-        if (rowAbovePixel && rowBelowPixel) {
-            const rectAbove = rowAbovePixel.getBoundingClientRect();
-            const rectBelow = rowBelowPixel.getBoundingClientRect();
-            const wrapperRect = canvasWrapper.getBoundingClientRect();
-            // Higher row numbers are visually at top, so row 70 is above row 69
-            // Position line between bottom of upper row and top of lower row
-            const topPosition = ((rectAbove.bottom + rectBelow.top) / 2) - wrapperRect.top;
-            state.symmetryLineV.style.top = `${topPosition}px`;
-        } else {
-            const topPosition = padding + (TOTAL_ROWS - CENTER_ROW) * cellSize - gap / 2;
-            state.symmetryLineV.style.top = `${topPosition}px`;
-        }
+        state.symmetryLineV.style.top = `${center.top}px`;
         canvasWrapper.appendChild(state.symmetryLineV);
     }
+
+    // Rotation modes show the sectors the design is repeated into
+    if (isRotational()) {
+        state.symmetryGuides = document.createElement('div');
+        state.symmetryGuides.className = 'symmetry-guides';
+        const angles = state.symmetryMode === 'dihedral8' ? [0, 45, 90, 135] : [0, 90];
+        angles.forEach(angle => addGuideLine(state.symmetryGuides, center, angle));
+        canvasWrapper.appendChild(state.symmetryGuides);
+    }
+
+    state.symmetryCenterHandle = document.createElement('div');
+    state.symmetryCenterHandle.className = 'symmetry-center';
+    state.symmetryCenterHandle.title = 'Drag to move the symmetry centre, double-click to reset it';
+    state.symmetryCenterHandle.style.left = `${center.left}px`;
+    state.symmetryCenterHandle.style.top = `${center.top}px`;
+    state.symmetryCenterHandle.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        draggingCenter = true;
+    });
+    state.symmetryCenterHandle.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        draggingCenter = true;
+    }, { passive: false });
+    state.symmetryCenterHandle.addEventListener('dblclick', resetSymmetryCenter);
+    canvasWrapper.appendChild(state.symmetryCenterHandle);
 };
 
 export const toggleMirrorH = () => {
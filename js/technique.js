@@ -0,0 +1,213 @@
+// Technique Module
+// Checks each row against the chosen knitting technique: colours per row for stranded, bobbins for intarsia
+
+import { state, getActiveDimensions } from './state.js';
+import { getRowRuns } from './export.js';
+import { onHistoryChange } from './history.js';
+import { onLayersChange } from './layers.js';
+import { jumpToRow } from './rowHighlight.js';
+
+export const TECHNIQUES = {
+    none: { name: 'None', maxColors: null },
+    stranded2: { name: 'Stranded, max 2 colours per row', maxColors: 2 },
+    stranded3: { name: 'Stranded, max 3 colours per row', maxColors: 3 },
+    intarsia: { name: 'Intarsia', maxColors: null },
+};
+
+let techniqueSelect = null;
+let techniqueSummary = null;
+let techniqueList = null;
+let triggerAutoSaveCallback = null;
+
+// Row labels currently flagged in the gutter
+let flaggedLabels = [];
+
+/**
+ * Initialize the technique setting and report
+ * @param {Object} options - Initialization options
+ * @param {HTMLSelectElement} options.techniqueSelect - Technique dropdown
+ * @param {HTMLElement} options.techniqueSummary - Short result of the check
+ * @param {HTMLElement} options.techniqueList - Report of the flagged rows, or bobbins per row
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ */
+export const initTechnique = (options = {}) => {
+    techniqueSelect = options.techniqueSelect;
+    techniqueSummary = options.techniqueSummary;
+    techniqueList = options.techniqueList;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+
+    if (techniqueSelect) {
+        techniqueSelect.innerHTML = Object.entries(TECHNIQUES)
+            .map(([id, technique]) => `<option value="${id}">${technique.name}</option>`)
+            .join('');
+        techniqueSelect.addEventListener('change', () => setTechnique(techniqueSelect.value));
+    }
+    if (techniqueList) {
+        techniqueList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-row]');
+            if (button) jumpToRow(parseInt(button.dataset.row));
+        });
+    }
+
+    onHistoryChange(updateTechniqueCheck);
+    onLayersChange(updateTechniqueCheck);
+
+    setTechnique(state.technique, false);
+};
+
+/**
+ * Choose the technique the chart is checked against
+ * @param {string} technique - A key of TECHNIQUES; unknown values fall back to 'none'
+ * @param {boolean} persist - Auto-save the change (off when the technique comes from a save)
+ */
+export const setTechnique = (technique, persist = true) => {
+    state.technique = TECHNIQUES[technique] ? technique : 'none';
+    if (techniqueSelect) techniqueSelect.value = state.technique;
+
+    updateTechniqueCheck();
+    if (persist && triggerAutoSaveCallback) triggerAutoSaveCallback();
+};
+
+/**
+ * Check every row of the active panel against the technique
+ * @returns {Array} Array of { rowIndex, colors, bobbins, valid }, bottom row first
+ */
+export const checkRows = () => {
+    const { maxColors } = TECHNIQUES[state.technique];
+    const { totalRows } = getActiveDimensions();
+    const rows = [];
+
+    for (let rowIndex = 1; rowIndex <= totalRows; rowIndex++) {
+        const runs = getRowRuns(rowIndex);
+        const colors = new Set(runs.map(run => run.color)).size;
+        rows.push({
+            rowIndex,
+            colors,
+            // Each block of colour in an intarsia row is worked from its own bobbin
+            bobbins: runs.length,
+            valid: maxColors === null || colors <= maxColors
+        });
+    }
+    return rows;
+};
+
+/**
+ * Get the rows that break the technique's rule
+ * @returns {Array} Array of { rowIndex, colors, bobbins, valid }
+ */
+export const getInvalidRows = () => checkRows().filter(row => !row.valid);
+
+/**
+ * Describe a row's problem, e.g. "3 colours, max 2"
+ * @param {Object} row - From checkRows
+ * @returns {string}
+ */
+const describeRow = (row) => `${row.colors} colours, max ${TECHNIQUES[state.technique].maxColors}`;
+
+const clearGutterFlags = () => {
+    flaggedLabels.forEach(label => {
+        label.classList.remove('row-label-flagged');
+        label.removeAttribute('title');
+    });
+    flaggedLabels = [];
+};
+
+/**
+ * Flag rows in the gutter next to their row labels
+ * @param {Map} messages - rowIndex -> tooltip text
+ */
+const flagGutter = (messages) => {
+    document.querySelectorAll('.row-label').forEach(label => {
+        const message = messages.get(parseInt(label.textContent));
+        if (message) {
+            label.classList.add('row-label-flagged');
+            label.title = message;
+            flaggedLabels.push(label);
+        }
+    });
+};
+
+/**
+ * Re-run the check and redraw the gutter flags and report
+ */
+export const updateTechniqueCheck = () => {
+    clearGutterFlags();
+    if (techniqueSummary) techniqueSummary.textContent = '';
+    if (techniqueList) techniqueList.innerHTML = '';
+    if (state.technique === 'none') return;
+
+    const rows = checkRows();
+
+    if (state.technique === 'intarsia') {
+        // More than one block in a row means more than one bobbin on the go
+        const multiBobbinRows = rows.filter(row => row.bobbins > 1);
+        const mostBobbins = rows.reduce((most, row) => Math.max(most, row.bobbins), 0);
+        flagGutter(new Map(multiBobbinRows.map(row => [row.rowIndex, `${row.bobbins} bobbins`])));
+
+        if (techniqueSummary) {
+            techniqueSummary.textContent = multiBobbinRows.length === 0
+                ? 'Every row is a single colour block.'
+                : `Up to ${mostBobbins} bobbins in a row. Rows needing more than one:`;
+        }
+        if (techniqueList) {
+            techniqueList.innerHTML = multiBobbinRows.map(row => `
+                <li class="technique-item">
+                    <button class="technique-row-btn" data-row="${row.rowIndex}" title="Highlight row ${row.rowIndex}">Row ${row.rowIndex}</button>
+                    <span>${row.bobbins} bobbins</span>
+                </li>
+            `).join('');
+        }
+        return;
+    }
+
+    const invalidRows = rows.filter(row => !row.valid);
+    flagGutter(new Map(invalidRows.map(row => [row.rowIndex, describeRow(row)])));
+
+    if (techniqueSummary) {
+        techniqueSummary.textContent = invalidRows.length === 0
+            ? 'Every row fits the technique.'
+            : `${invalidRows.length} row${invalidRows.length === 1 ? '' : 's'} with too many colours:`;
+    }
+    if (techniqueList) {
+        techniqueList.innerHTML = invalidRows.map(row => `
+            <li class="technique-item">
+                <button class="technique-row-btn" data-row="${row.rowIndex}" title="Highlight row ${row.rowIndex}">Row ${row.rowIndex}</button>
+                <span>${describeRow(row)}</span>
+            </li>
+        `).join('');
+    }
+};
+
+/**
+ * Describe the technique and its check for the written instructions
+ * @returns {Array} Lines of text, empty when no technique is set
+ */
+export const getTechniqueSummary = () => {
+    if (state.technique === 'none') return [];
+
+    const lines = [`Technique: ${TECHNIQUES[state.technique].name}`];
+    if (state.technique === 'intarsia') {
+        const mostBobbins = checkRows().reduce((most, row) => Math.max(most, row.bobbins), 0);
+        lines.push(`Bobbins: up to ${mostBobbins} in a row`);
+    }
+    return lines;
+};
+
+/**
+ * Before exporting, warn about rows that break the technique's rule
+ * @returns {boolean} True if the export should go ahead
+ */
+export const confirmTechniqueBeforeExport = () => {
+    if (state.technique === 'none' || state.technique === 'intarsia') return true;
+
+    const invalidRows = getInvalidRows();
+    if (invalidRows.length === 0) return true;
+
+    const listed = invalidRows.slice(0, 10).map(row => `Row ${row.rowIndex}: ${describeRow(row)}`).join('\n');
+    const more = invalidRows.length > 10 ? `\n…and ${invalidRows.length - 10} more` : '';
+    return confirm(
+        `${invalidRows.length} row${invalidRows.length === 1 ? '' : 's'} break the ` +
+        `"${TECHNIQUES[state.technique].name}" rule:\n\n${listed}${more}\n\n` +
+        `The full report is in the sidebar under Technique. Export anyway?`
+    );
+};
@@ -0,0 +1,138 @@
+// Text Tool Module
+// Types names, dates and slogans in a pixel font as floating content that can be dragged into place
+
+import { state, getActiveDimensions } from './state.js';
+import { getFonts, getFontById, renderText } from './fonts.js';
+import {
+    createFloatingSelection, setFloatingCells, getFloatingSelection, cancelFloatingSelection
+} from './floatingSelection.js';
+
+let colorPicker = null;
+let textInput = null;
+let fontSelect = null;
+
+// The floating content created by the text tool, so edits only ever touch our own text
+let textFloating = null;
+
+/**
+ * Initialize the text tool
+ * @param {Object} options - Initialization options
+ * @param {HTMLInputElement} options.colorPicker - The colour picker input
+ * @param {HTMLInputElement} options.textInput - Text to place
+ * @param {HTMLSelectElement} options.fontSelect - Font and height dropdown
+ */
+export const initTextTool = (options = {}) => {
+    colorPicker = options.colorPicker;
+    textInput = options.textInput;
+    fontSelect = options.fontSelect;
+
+    if (fontSelect) {
+        populateFonts();
+        fontSelect.addEventListener('change', () => setActiveFont(fontSelect.value));
+    }
+    if (textInput) {
+        textInput.addEventListener('input', updateFloatingText);
+    }
+    if (colorPicker) {
+        colorPicker.addEventListener('input', updateFloatingText);
+    }
+
+    const firstFont = getFonts()[0];
+    if (!getFontById(state.textTool.activeFontId) && firstFont) {
+        state.textTool.activeFontId = firstFont.id;
+    }
+    if (fontSelect) fontSelect.value = state.textTool.activeFontId;
+};
+
+const populateFonts = () => {
+    fontSelect.innerHTML = '';
+    getFonts().forEach(font => {
+        const option = document.createElement('option');
+        option.value = font.id;
+        option.textContent = font.name;
+        fontSelect.appendChild(option);
+    });
+};
+
+/**
+ * Choose the font used by the text tool
+ * @param {string} fontId
+ */
+export const setActiveFont = (fontId) => {
+    if (!getFontById(fontId)) return;
+    state.textTool.activeFontId = fontId;
+    if (fontSelect) fontSelect.value = fontId;
+    updateFloatingText();
+};
+
+const isTextFloating = () => textFloating !== null && getFloatingSelection() === textFloating;
+
+/**
+ * Render the typed text in the active font and colour
+ * @returns {Object|null} Block of cells, or null if there is nothing to place
+ */
+const getTextBlock = () => {
+    const font = getFontById(state.textTool.activeFontId);
+    const text = textInput ? textInput.value : '';
+    if (!font || !text.trim()) return null;
+
+    const block = renderText(text, font, colorPicker ? colorPicker.value : '#000000');
+    return block.cells.length > 0 ? block : null;
+};
+
+/**
+ * Float the text with its middle on a cell
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ * @returns {boolean} True if there was text to float
+ */
+const floatTextAt = (rowIndex, colIndex) => {
+    const block = getTextBlock();
+    if (!block) return false;
+
+    createFloatingSelection(
+        block.cells,
+        rowIndex - Math.floor(block.height / 2),
+        colIndex - Math.floor(block.width / 2)
+    );
+    textFloating = getFloatingSelection();
+    return true;
+};
+
+/**
+ * Keep the floating text in step with the text box, font and colour
+ * The first edit floats the text in the middle of the panel; after that it stays
+ * where it was dragged to.
+ */
+const updateFloatingText = () => {
+    if (state.activeTool !== 'text') return;
+
+    const block = getTextBlock();
+    if (isTextFloating()) {
+        if (block) {
+            setFloatingCells(block.cells);
+        } else {
+            cancelFloatingSelection();
+            textFloating = null;
+        }
+        return;
+    }
+
+    if (block) {
+        const { centerRow, centerColumn } = getActiveDimensions();
+        floatTextAt(centerRow, centerColumn);
+    }
+};
+
+/**
+ * Handle a canvas click with the text tool: float the text centred on the clicked cell
+ * @param {HTMLElement} pixel - The pixel that was clicked
+ */
+export const handleTextClick = (pixel) => {
+    if (!pixel.classList.contains('pixel')) return;
+
+    if (!floatTextAt(parseInt(pixel.dataset.rowIndex), parseInt(pixel.dataset.colIndex))) {
+        alert('Type some text first.');
+        if (textInput) textInput.focus();
+    }
+};
@@ -0,0 +1,76 @@
+// Tool Manager Module
+// Tracks the active canvas tool and keeps the toolbar in sync
+
+import { state } from './state.js';
+
+// Tool used when nothing else is active
+export const DEFAULT_TOOL = 'select';
+
+// Tools that use Shift/Alt as add/subtract modifiers instead of Alt+click sampling
+export const SELECTION_TOOLS = ['wand', 'marquee', 'lasso'];
+
+// Tools that draw on the active layer, so they don't start while it is locked or hidden
+// (the pattern tool can still pick its origin there, so it checks the layer itself before filling)
+export const LAYER_TOOLS = ['brush', 'eraser', 'line', 'rectangle', 'ellipse', 'fill', 'stamp', 'text'];
+
+let toolButtons = [];
+let toolOptionGroups = [];
+
+/**
+ * Initialize tool buttons
+ * Every element with a data-tool attribute inside the container becomes a tool button.
+ * Elements with a data-tool-options attribute (a space-separated list of tools) are
+ * only shown while one of those tools is active.
+ * @param {HTMLElement} container - Element containing the tool buttons
+ */
+export const initTools = (container) => {
+    toolButtons = Array.from(container.querySelectorAll('[data-tool]'));
+    toolOptionGroups = Array.from(container.querySelectorAll('[data-tool-options]'));
+
+    toolButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            const tool = button.dataset.tool;
+            // Clicking the active tool again drops back to the default tool
+            if (tool === state.activeTool && tool !== DEFAULT_TOOL) {
+                setActiveTool(DEFAULT_TOOL);
+            } else {
+                setActiveTool(tool);
+            }
+        });
+    });
+
+    setActiveTool(state.activeTool);
+};
+
+/**
+ * Set the active tool and update button and body classes
+ * @param {string} tool - Tool name (e.g. 'select', 'brush', 'fill')
+ */
+export const setActiveTool = (tool) => {
+    document.body.classList.remove(`${state.activeTool}-mode`);
+    state.activeTool = tool;
+    document.body.classList.add(`${tool}-mode`);
+
+    toolButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+
+    toolOptionGroups.forEach(group => {
+        group.hidden = !group.dataset.toolOptions.split(' ').includes(tool);
+    });
+};
+
+/**
+ * Check whether a tool is currently active
+ * @param {string} tool - Tool name
+ * @returns {boolean}
+ */
+export const isToolActive = (tool) => state.activeTool === tool;
+
+/**
+ * Check whether a pointer event should sample a colour instead of using the active tool
+ * @param {MouseEvent} e
+ * @returns {boolean}
+ */
+export const isSamplingEvent = (e) =>
+    state.activeTool === 'eyedropper' || (e.altKey && !SELECTION_TOOLS.includes(state.activeTool));
@@ -0,0 +1,164 @@
+// Transform Module
+// Flip, rotate and transpose the selected region (or the floating content)
+
+import { getPixelKey, getPixelByCoords } from './state.js';
+import { pushToUndoStack } from './history.js';
+import { clearSelection } from './selection.js';
+import { normalizeColor } from './fill.js';
+import { captureSelection } from './clipboard.js';
+import { filterLayerChanges, ensureActiveLayerEditable } from './layers.js';
+import { isFloatingActive, getFloatingSelection, setFloatingCells, moveFloatingSelection } from './floatingSelection.js';
+
+export const TRANSFORMS = ['flipH', 'flipV', 'rotate90', 'rotate180', 'transpose'];
+
+let triggerAutoSaveCallback = null;
+let refreshMinimapCallback = null;
+
+export const initTransform = (autoSaveCallback, minimapCallback = null) => {
+    triggerAutoSaveCallback = autoSaveCallback;
+    refreshMinimapCallback = minimapCallback;
+};
+
+/**
+ * Map a cell offset through a transform
+ * Offsets are measured from the bottom-left corner with rows counting upwards,
+ * so "clockwise" and "transpose" are as seen on screen.
+ * @param {number} dRow - Row offset
+ * @param {number} dCol - Column offset
+ * @param {number} width - Width of the block
+ * @param {number} height - Height of the block
+ * @param {string} transform - One of TRANSFORMS
+ * @returns {Array} [dRow, dCol] in the transformed block
+ */
+const transformOffset = (dRow, dCol, width, height, transform) => {
+    switch (transform) {
+        case 'flipH':
+            return [dRow, width - 1 - dCol];
+        case 'flipV':
+            return [height - 1 - dRow, dCol];
+        case 'rotate90':
+            return [width - 1 - dCol, dRow];
+        case 'rotate180':
+            return [height - 1 - dRow, width - 1 - dCol];
+        case 'transpose':
+            return [width - 1 - dCol, height - 1 - dRow];
+        default:
+            return [dRow, dCol];
+    }
+};
+
+/**
+ * Transform a block of cells
+ * Rotated and transposed blocks are re-centred on the original bounding box.
+ * @param {Object} block - { row, col, width, height, cells: [{ dRow, dCol, color }] }
+ * @param {string} transform - One of TRANSFORMS
+ * @returns {Object} The transformed block
+ */
+export const transformBlock = (block, transform) => {
+    const swapsAxes = transform === 'rotate90' || transform === 'transpose';
+    const width = swapsAxes ? block.height : block.width;
+    const height = swapsAxes ? block.width : block.height;
+
+    return {
+        row: block.row + Math.floor((block.height - height) / 2),
+        col: block.col + Math.floor((block.width - width) / 2),
+        width,
+        height,
+        cells: block.cells.map(({ dRow, dCol, color }) => {
+            const [newRow, newCol] = transformOffset(dRow, dCol, block.width, block.height, transform);
+            return { dRow: newRow, dCol: newCol, color };
+        })
+    };
+};
+
+const transformFloating = (transform) => {
+    const { cells, row, col } = getFloatingSelection();
+    const width = Math.max(...cells.map(cell => cell.dCol)) + 1;
+    const height = Math.max(...cells.map(cell => cell.dRow)) + 1;
+    const result = transformBlock({ row, col, width, height, cells }, transform);
+
+    moveFloatingSelection(result.row, result.col);
+    setFloatingCells(result.cells);
+};
+
+/**
+ * Apply a transform to the selection as a single undo operation
+ * Floating content is transformed in place and only recorded once it is placed.
+ * Coloured cells that would land outside the active shaping are reported and the
+ * user can cancel rather than lose them.
+ * @param {string} transform - One of TRANSFORMS
+ * @returns {boolean} True if the transform was applied
+ */
+export const transformSelection = (transform) => {
+    if (!TRANSFORMS.includes(transform)) {
+        console.error('Unknown transform:', transform);
+        return false;
+    }
+
+    if (isFloatingActive()) {
+        transformFloating(transform);
+        return true;
+    }
+
+    const block = captureSelection();
+    if (!block) {
+        alert('Select an area first.');
+        return false;
+    }
+    if (!ensureActiveLayerEditable()) return false;
+
+    const result = transformBlock(block, transform);
+    const target = result.cells.map(cell => ({
+        ...cell,
+        rowIndex: result.row + cell.dRow,
+        colIndex: result.col + cell.dCol
+    }));
+
+    // Only active pixels are in the pixel map, so shaped-off cells have no pixel
+    const lost = target.filter(cell =>
+        !getPixelByCoords(cell.rowIndex, cell.colIndex) && normalizeColor(cell.color) !== 'white'
+    );
+    if (lost.length > 0) {
+        const message = `${lost.length} coloured cell${lost.length === 1 ? '' : 's'} would land outside ` +
+            'the knittable area and be lost.\n\nApply the transform anyway?';
+        if (!confirm(message)) {
+            return false;
+        }
+    }
+
+    // Clear the original cells, then draw the transformed ones over them
+    const changesByKey = new Map();
+    block.cells.forEach(({ dRow, dCol, color }) => {
+        const rowIndex = block.row + dRow;
+        const colIndex = block.col + dCol;
+        changesByKey.set(getPixelKey(rowIndex, colIndex), { rowIndex, colIndex, oldColor: color, newColor: null });
+    });
+
+    const placedPixels = [];
+    target.forEach(({ rowIndex, colIndex, color }) => {
+        const pixel = getPixelByCoords(rowIndex, colIndex);
+        if (!pixel) return;
+        const key = getPixelKey(rowIndex, colIndex);
+        const existing = changesByKey.get(key);
+        const oldColor = existing ? existing.oldColor : (pixel.style.backgroundColor || 'white');
+        changesByKey.set(key, { rowIndex, colIndex, oldColor, newColor: color });
+        placedPixels.push(pixel);
+    });
+
+    const changes = filterLayerChanges(Array.from(changesByKey.values())
+        .filter(change => getPixelByCoords(change.rowIndex, change.colIndex)));
+    changes.forEach(change => {
+        getPixelByCoords(change.rowIndex, change.colIndex).style.backgroundColor = change.newColor || 'white';
+    });
+
+    // The selection follows the transformed region
+    clearSelection();
+    placedPixels.forEach(pixel => pixel.classList.add('selected'));
+
+    if (changes.length > 0) {
+        pushToUndoStack({ changes });
+        if (triggerAutoSaveCallback) triggerAutoSaveCallback();
+        if (refreshMinimapCallback) refreshMinimapCallback();
+    }
+    return true;
+};
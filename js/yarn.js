@@ -0,0 +1,166 @@
+// Yarn Module
+// Estimates how much yarn of each colour the front and back need, from the gauge and a yarn profile
+
+import { state } from './state.js';
+import { getColorUsage } from './recolor.js';
+
+// Typical ball sizes for common yarn weights
+export const YARN_PROFILES = [
+    { id: 'lace', name: 'Lace', metresPerBall: 400, gramsPerBall: 50 },
+    { id: 'fingering', name: '4 ply / fingering', metresPerBall: 200, gramsPerBall: 50 },
+    { id: 'sport', name: 'Sport', metresPerBall: 150, gramsPerBall: 50 },
+    { id: 'dk', name: 'DK', metresPerBall: 112, gramsPerBall: 50 },
+    { id: 'aran', name: 'Aran / worsted', metresPerBall: 200, gramsPerBall: 100 },
+    { id: 'chunky', name: 'Chunky', metresPerBall: 100, gramsPerBall: 100 },
+];
+
+// A stocking stitch uses roughly this many stitch widths of yarn
+const YARN_PER_STITCH = 3.5;
+
+// Extra for floats, swatching and weaving in ends
+export const YARN_ALLOWANCE = 0.15;
+
+let profileSelect = null;
+let metresInput = null;
+let gramsInput = null;
+let yarnList = null;
+let triggerAutoSaveCallback = null;
+
+/**
+ * Initialize the yarn estimate panel
+ * @param {Object} options - Initialization options
+ * @param {HTMLSelectElement} options.profileSelect - Yarn weight dropdown
+ * @param {HTMLInputElement} options.metresInput - Metres per ball
+ * @param {HTMLInputElement} options.gramsInput - Grams per ball
+ * @param {HTMLElement} options.yarnList - Where the estimate is listed
+ * @param {HTMLElement} options.refreshButton - Button that recounts the stitches
+ * @param {Function} options.triggerAutoSave - Callback to schedule an auto-save
+ */
+export const initYarn = (options = {}) => {
+    profileSelect = options.profileSelect;
+    metresInput = options.metresInput;
+    gramsInput = options.gramsInput;
+    yarnList = options.yarnList;
+    triggerAutoSaveCallback = options.triggerAutoSave;
+
+    if (profileSelect) {
+        profileSelect.innerHTML = YARN_PROFILES
+            .map(profile => `<option value="${profile.id}">${profile.name}</option>`)
+            .join('') + '<option value="custom">Custom</option>';
+        profileSelect.addEventListener('change', () => {
+            const profile = YARN_PROFILES.find(p => p.id === profileSelect.value);
+            setYarn(profile ? { ...profile, profileId: profile.id } : { ...state.yarn, profileId: 'custom' });
+        });
+    }
+
+    // Typing a ball size makes it a custom yarn
+    [metresInput, gramsInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            const yarn = {
+                profileId: 'custom',
+                metresPerBall: parseFloat(metresInput.value),
+                gramsPerBall: parseFloat(gramsInput.value)
+            };
+            if (!isValidYarn(yarn)) {
+                alert('Metres and grams per ball must be greater than 0.');
+                setYarn(state.yarn, false);
+                return;
+            }
+            setYarn(yarn);
+        });
+    });
+
+    if (options.refreshButton) {
+        options.refreshButton.addEventListener('click', updateYarnEstimate);
+    }
+
+    setYarn(state.yarn, false);
+};
+
+const isValidYarn = (yarn) =>
+    !!yarn &&
+    Number.isFinite(yarn.metresPerBall) && yarn.metresPerBall > 0 &&
+    Number.isFinite(yarn.gramsPerBall) && yarn.gramsPerBall > 0;
+
+/**
+ * Set the yarn used for the estimate
+ * @param {Object} yarn - { profileId, metresPerBall, gramsPerBall }; invalid values fall back to DK
+ * @param {boolean} persist - Auto-save the change (off when the yarn comes from a save)
+ */
+export const setYarn = (yarn, persist = true) => {
+    if (isValidYarn(yarn)) {
+        state.yarn = {
+            profileId: yarn.profileId || 'custom',
+            metresPerBall: yarn.metresPerBall,
+            gramsPerBall: yarn.gramsPerBall
+        };
+    } else {
+        const dk = YARN_PROFILES.find(p => p.id === 'dk');
+        state.yarn = { profileId: dk.id, metresPerBall: dk.metresPerBall, gramsPerBall: dk.gramsPerBall };
+    }
+
+    if (profileSelect) profileSelect.value = state.yarn.profileId;
+    if (metresInput) metresInput.value = state.yarn.metresPerBall;
+    if (gramsInput) gramsInput.value = state.yarn.gramsPerBall;
+
+    updateYarnEstimate();
+    if (persist && triggerAutoSaveCallback) triggerAutoSaveCallback();
+};
+
+/**
+ * Estimate the yarn for each colour on the front and back
+ * Every knittable cell counts, so uncoloured cells are background (#ffffff) stitches.
+ * @returns {Array} Array of { color, stitches, metres, grams, balls }, most used first
+ */
+export const getYarnEstimate = () => {
+    const metresPerStitch = (10 / state.gauge.stitches) * YARN_PER_STITCH / 100;
+    const { metresPerBall, gramsPerBall } = state.yarn;
+
+    return Array.from(getColorUsage().entries())
+        .map(([color, counts]) => {
+            const stitches = counts.front + counts.back;
+            const metres = stitches * metresPerStitch * (1 + YARN_ALLOWANCE);
+            return {
+                color,
+                stitches,
+                metres,
+                grams: metres / metresPerBall * gramsPerBall,
+                balls: Math.ceil(metres / metresPerBall)
+            };
+        })
+        .sort((a, b) => b.stitches - a.stitches);
+};
+
+/**
+ * Get the yarn estimate as shopping list lines for the exports
+ * @returns {Array} Lines such as "#ffffff (background): 412 m, 4 balls (184 g)"
+ */
+export const getShoppingList = () => {
+    const profile = YARN_PROFILES.find(p => p.id === state.yarn.profileId);
+    const { metresPerBall, gramsPerBall } = state.yarn;
+
+    return [
+        `Yarn: ${profile ? profile.name : 'Custom'}, ${metresPerBall} m per ${gramsPerBall} g ball`,
+        ...getYarnEstimate().map(({ color, metres, grams, balls }) =>
+            `${color}${color === '#ffffff' ? ' (background)' : ''}: ` +
+            `${Math.ceil(metres)} m, ${balls} ball${balls === 1 ? '' : 's'} (${Math.ceil(grams)} g)`
+        ),
+        `Front and back only, including ${Math.round(YARN_ALLOWANCE * 100)}% extra for floats and ends.`
+    ];
+};
+
+/**
+ * Recount the stitches and redraw the estimate
+ */
+export const updateYarnEstimate = () => {
+    if (!yarnList) return;
+
+    yarnList.innerHTML = getYarnEstimate().map(({ color, stitches, metres, balls }) => `
+        <li class="yarn-item" title="${stitches} stitches">
+            <span class="yarn-swatch" style="background-color: ${color};"></span>
+            <span class="yarn-color">${color}${color === '#ffffff' ? ' (bg)' : ''}</span>
+            <span class="yarn-amount">${Math.ceil(metres)} m · ${balls} ball${balls === 1 ? '' : 's'}</span>
+        </li>
+    `).join('');
+};